@@ -1,47 +1,54 @@
+/* _  ___  _| _    * _
+  | )[ | )(_](_ *  |_)       Copyright (c) 2012-2016 -- the nmdc.js authors
+                 ._|
+Permission to use, copy, modify, and/or distribute this software for any
+  purpose with or without fee is hereby granted, provided that the above
+  copyright notice and this permission notice appear in all copies.
+*/
 
+// Serves site/ and finished downloads, without connecting to any hub (see
+//  nmdc_server.js for the full client). Run as
+//  'node demo_node_http_server.js [config.json]'; the config may set host,
+//  port, site_dir and download_dir.
+
+"use strict";
 var http = require('http');
-var fs=require('fs');
-http.createServer(function (req, res) {
-	console.log("req: "+req.url);
-    fs.readFile("C:/Users/VISHAL ASHANK/Downloads"+req.url,function(error,data)
-    {
-    	if(error)
-    	{
-    		res.writeHead(404, {'Content-Type': 'text/plain'});
-    		res.end("Sorry this website is not designed to suit your imaginations");
-    	}
-    	else
-    	{
-    		if (req.url === '/js/styles/styles.css') {
-    		res.writeHead(200, {'Content-type' : 'text/css'});
-    		var fileContents = fs.readFileSync('C:/Users/VISHAL ASHANK/Downloads/js/styles/styles.css', {encoding: 'utf8'});
-    		res.write(fileContents);
-    		res.end();
-  				}
-  				else{
-    		res.writeHead(200, {'Content-Type': 'html'});
-    		res.end(data);}
-    	}
-    });
-    //res.end('');
-}).listen(80,"0.0.0.0");
-console.log('Server running at http://127.0.0.1:1337/');
-/*var fs=require("fs");
-var d=null;
-fs.readFile("C:/Users/VISHAL ASHANK/Desktop/nmdc proj/first.html",function(error,data)
-{
-console.log(data+"hey i got it");
+var fs = require('fs');
+var path = require('path');
+var nmdc_static = require('./nmdc_static.js');
+
+var opts = {
+	host: '127.0.0.1',
+	port: 8080,
+	site_dir: path.join(__dirname, 'site'),
+	download_dir: 'downloads'
+};
+if (process.argv[2]) {
+	var config = JSON.parse(fs.readFileSync(process.argv[2], 'utf8'));
+	for (var i in config) {
+		opts[i] = config[i];
+	}
+}
+
+var site = nmdc_static.serve(opts.site_dir);
+var downloads = nmdc_static.serve(opts.download_dir, {
+	filter: function(name) {
+		return path.extname(name) !== '.dctmp'; // still downloading
+	}
 });
 
-/*console.log("carry on");
-var cnt=fs.readFileSync("inp.txt");
-console.log(cnt+"this");*/
-/*var express = require("express");
-var app = express();
-app.use(app.router);
-app.use(express.static(__dirname + "C:/Users/VISHAL ASHANK/Desktop/nmdc proj"));
-app.get("C:/Users/VISHAL ASHANK/Desktop/nmdc proj",function(r,e)
-{
-	response.send("hey");
+http.createServer(function(req, res) {
+	console.log(req.method+' '+req.url);
+	if (req.url === '/downloads' || req.url.substr(0, 11) === '/downloads/' ||
+		req.url.substr(0, 11) === '/downloads?') {
+		req.originalUrl = req.url;
+		req.url = req.url.substr(10) || '/';
+		if (req.url[0] === '?') {
+			req.url = '/'+req.url;
+		}
+		return downloads(req, res);
+	}
+	site(req, res);
+}).listen(opts.port, opts.host, function() {
+	console.log('Server running at http://'+opts.host+':'+opts.port+'/');
 });
-app.listen(1337);*/
\ No newline at end of file
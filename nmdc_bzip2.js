@@ -0,0 +1,357 @@
+/* _  ___  _| _    * _
+  | )[ | )(_](_ *  |_)       Copyright (c) 2012-2016 -- the nmdc.js authors
+                 ._|
+Permission to use, copy, modify, and/or distribute this software for any
+  purpose with or without fee is hereby granted, provided that the above
+  copyright notice and this permission notice appear in all copies.
+*/
+
+"use strict";
+
+// A bzip2 compressor, for serving files.xml.bz2 (seek-bzip only decodes).
+//  It keeps to the simple end of the format: one Huffman table per block
+//  (written twice, as at least two are required) and every selector 0.
+
+var BZIP2_LEVEL = 9;
+var BZIP2_BLOCK_MAX = BZIP2_LEVEL*100000 - 19;
+var BZIP2_MAX_CODE_LENGTH = 17;
+var BZIP2_GROUP_SIZE = 50;
+var BZIP2_RUNA = 0;
+var BZIP2_RUNB = 1;
+
+var CRC_TABLE = new Int32Array(256);
+for (var i = 0; i < 256; i++) {
+	var c = i << 24;
+	for (var j = 0; j < 8; j++) {
+		c = (c & 0x80000000) ? ((c << 1) ^ 0x04C11DB7) : (c << 1);
+	}
+	CRC_TABLE[i] = c;
+}
+
+/**
+ * Compress data into a bzip2 stream.
+ *
+ * @param {Buffer} data Data to compress
+ * @return {Buffer} bzip2 data
+ */
+var compress = function(data) {
+	var out = new BitWriter();
+	out.write(8, 0x42); // 'B'
+	out.write(8, 0x5A); // 'Z'
+	out.write(8, 0x68); // 'h'
+	out.write(8, 0x30 + BZIP2_LEVEL);
+
+	var combined = 0;
+	var pos = 0;
+	while (pos < data.length) {
+		var block = bzip2_rle(data, pos);
+		var crc = bzip2_crc(data, pos, block.end);
+		combined = ((combined << 1) | (combined >>> 31)) ^ crc;
+		bzip2_block(out, block.data, crc);
+		pos = block.end;
+	}
+
+	out.write(24, 0x177245);
+	out.write(24, 0x385090);
+	out.write(16, combined >>> 16);
+	out.write(16, combined & 0xFFFF);
+	return out.finish();
+};
+
+// #################
+// Helpers
+// #################
+
+function BitWriter() {
+	this.bytes = [];
+	this.buffer = 0;
+	this.bits = 0;
+}
+
+BitWriter.prototype.write = function(n, value) {
+	// At most 24 bits at a time
+	this.buffer = (this.buffer << n) | (value & ((1 << n) - 1));
+	this.bits += n;
+	while (this.bits >= 8) {
+		this.bits -= 8;
+		this.bytes.push((this.buffer >>> this.bits) & 0xFF);
+	}
+	this.buffer &= (1 << this.bits) - 1;
+};
+
+BitWriter.prototype.finish = function() {
+	if (this.bits > 0) {
+		this.write(8 - this.bits, 0);
+	}
+	return Buffer.from(this.bytes);
+};
+
+var bzip2_crc = function(data, start, end) {
+	var crc = -1;
+	for (var i = start; i < end; i++) {
+		crc = (crc << 8) ^ CRC_TABLE[((crc >>> 24) ^ data[i]) & 0xFF];
+	}
+	return ~crc >>> 0;
+};
+
+var bzip2_rle = function(data, start) {
+	// Runs of 4 to 255 equal bytes become the byte four times and a count.
+	//  Stops before the encoded block would grow too large.
+	var ret = Buffer.alloc(Math.min(BZIP2_BLOCK_MAX, Math.ceil(data.length * 1.25) + 5));
+	var n = 0;
+	var pos = start;
+	while (pos < data.length && n + 5 <= BZIP2_BLOCK_MAX) {
+		var b = data[pos];
+		var run = 1;
+		while (run < 255 && pos + run < data.length && data[pos + run] === b) {
+			run++;
+		}
+		if (run >= 4) {
+			ret[n++] = b;
+			ret[n++] = b;
+			ret[n++] = b;
+			ret[n++] = b;
+			ret[n++] = run - 4;
+		} else {
+			for (var i = 0; i < run; i++) {
+				ret[n++] = b;
+			}
+		}
+		pos += run;
+	}
+	return { data: ret.slice(0, n), end: pos };
+};
+
+var bzip2_bwt = function(block) {
+	// Sort the rotations of the block by prefix doubling, with counting
+	//  sorts on the ranks
+	var n = block.length;
+	var sa = new Int32Array(n);
+	var sa2 = new Int32Array(n);
+	var rank = new Int32Array(n);
+	var next = new Int32Array(n);
+	var count = new Int32Array(Math.max(256, n) + 1);
+	var i, k, classes;
+
+	for (i = 0; i < n; i++) {
+		count[block[i] + 1]++;
+	}
+	for (i = 1; i <= 256; i++) {
+		count[i] += count[i - 1];
+	}
+	for (i = 0; i < n; i++) {
+		sa[count[block[i]]++] = i;
+	}
+	classes = 0;
+	for (i = 0; i < n; i++) {
+		if (i > 0 && block[sa[i]] !== block[sa[i - 1]]) {
+			classes++;
+		}
+		rank[sa[i]] = classes;
+	}
+	classes++;
+
+	for (k = 1; k < n && classes < n; k <<= 1) {
+		// Ordered by the second half already; stable sort on the first
+		for (i = 0; i < n; i++) {
+			sa2[i] = (sa[i] - k + n) % n;
+		}
+		count.fill(0, 0, classes + 1);
+		for (i = 0; i < n; i++) {
+			count[rank[i] + 1]++;
+		}
+		for (i = 1; i <= classes; i++) {
+			count[i] += count[i - 1];
+		}
+		for (i = 0; i < n; i++) {
+			sa[count[rank[sa2[i]]]++] = sa2[i];
+		}
+		classes = 0;
+		next[sa[0]] = 0;
+		for (i = 1; i < n; i++) {
+			if (rank[sa[i]] !== rank[sa[i - 1]] ||
+				rank[(sa[i] + k) % n] !== rank[(sa[i - 1] + k) % n]) {
+				classes++;
+			}
+			next[sa[i]] = classes;
+		}
+		classes++;
+		var t = rank;
+		rank = next;
+		next = t;
+	}
+
+	var last = Buffer.alloc(n);
+	var origPtr = 0;
+	for (i = 0; i < n; i++) {
+		if (sa[i] === 0) {
+			origPtr = i;
+		}
+		last[i] = block[(sa[i] + n - 1) % n];
+	}
+	return { last: last, origPtr: origPtr };
+};
+
+var bzip2_mtf = function(last, inUse) {
+	// Move-to-front over the bytes in use, with runs of zeros written in
+	//  bijective base 2 as RUNA and RUNB
+	var order = [];
+	for (var i = 0; i < 256; i++) {
+		if (inUse[i]) {
+			order.push(i);
+		}
+	}
+	var syms = [];
+	var zeros = 0;
+	var flush = function() {
+		zeros--;
+		for (;;) {
+			syms.push((zeros & 1) ? BZIP2_RUNB : BZIP2_RUNA);
+			if (zeros < 2) {
+				break;
+			}
+			zeros = (zeros - 2) >> 1;
+		}
+		zeros = 0;
+	};
+	for (i = 0; i < last.length; i++) {
+		var j = order.indexOf(last[i]);
+		if (j === 0) {
+			zeros++;
+			continue;
+		}
+		if (zeros) {
+			flush();
+		}
+		order.splice(j, 1);
+		order.unshift(last[i]);
+		syms.push(j + 1);
+	}
+	if (zeros) {
+		flush();
+	}
+	syms.push(order.length + 1); // end of block
+	return syms;
+};
+
+var bzip2_lengths = function(freq) {
+	// Huffman code lengths, halving the weights until none is too long
+	var weights = freq.map(function(f) { return Math.max(1, f); });
+	for (;;) {
+		var nodes = weights.map(function(w, i) {
+			return { weight: w, syms: [i] };
+		});
+		var lengths = weights.map(function() { return 0; });
+		while (nodes.length > 1) {
+			nodes.sort(function(a, b) { return a.weight - b.weight; });
+			var a = nodes.shift(), b = nodes.shift();
+			var merged = { weight: a.weight + b.weight, syms: a.syms.concat(b.syms) };
+			merged.syms.forEach(function(s) {
+				lengths[s]++;
+			});
+			nodes.push(merged);
+		}
+		if (Math.max.apply(Math, lengths) <= BZIP2_MAX_CODE_LENGTH) {
+			return lengths;
+		}
+		weights = weights.map(function(w) { return 1 + (w >> 1); });
+	}
+};
+
+var bzip2_codes = function(lengths) {
+	// Canonical codes, assigned by length and then by symbol
+	var codes = [];
+	var code = 0;
+	for (var len = 1; len <= BZIP2_MAX_CODE_LENGTH; len++) {
+		for (var s = 0; s < lengths.length; s++) {
+			if (lengths[s] === len) {
+				codes[s] = code++;
+			}
+		}
+		code <<= 1;
+	}
+	return codes;
+};
+
+var bzip2_block = function(out, block, crc) {
+	var bwt = bzip2_bwt(block);
+	var inUse = [];
+	for (var i = 0; i < 256; i++) {
+		inUse[i] = false;
+	}
+	for (i = 0; i < block.length; i++) {
+		inUse[block[i]] = true;
+	}
+	var syms = bzip2_mtf(bwt.last, inUse);
+	var alphaSize = inUse.filter(Boolean).length + 2;
+
+	var freq = [];
+	for (i = 0; i < alphaSize; i++) {
+		freq[i] = 0;
+	}
+	syms.forEach(function(s) {
+		freq[s]++;
+	});
+	var lengths = bzip2_lengths(freq);
+	var codes = bzip2_codes(lengths);
+
+	out.write(24, 0x314159);
+	out.write(24, 0x265359);
+	out.write(16, crc >>> 16);
+	out.write(16, crc & 0xFFFF);
+	out.write(1, 0); // not randomized
+	out.write(24, bwt.origPtr);
+
+	// Bitmap of the bytes in use, by ranges of 16
+	var ranges = 0;
+	for (i = 0; i < 16; i++) {
+		if (inUse.slice(i*16, i*16 + 16).some(Boolean)) {
+			ranges |= 0x8000 >>> i;
+		}
+	}
+	out.write(16, ranges);
+	for (i = 0; i < 16; i++) {
+		if (ranges & (0x8000 >>> i)) {
+			var bits = 0;
+			for (var j = 0; j < 16; j++) {
+				if (inUse[i*16 + j]) {
+					bits |= 0x8000 >>> j;
+				}
+			}
+			out.write(16, bits);
+		}
+	}
+
+	// Two tables, every group of symbols coded with the first
+	var selectors = Math.ceil(syms.length / BZIP2_GROUP_SIZE);
+	out.write(3, 2);
+	out.write(15, selectors);
+	for (i = 0; i < selectors; i++) {
+		out.write(1, 0);
+	}
+	for (var t = 0; t < 2; t++) {
+		var cur = lengths[0];
+		out.write(5, cur);
+		for (i = 0; i < alphaSize; i++) {
+			while (cur < lengths[i]) {
+				out.write(2, 2); // 10: one longer
+				cur++;
+			}
+			while (cur > lengths[i]) {
+				out.write(2, 3); // 11: one shorter
+				cur--;
+			}
+			out.write(1, 0);
+		}
+	}
+
+	syms.forEach(function(s) {
+		out.write(lengths[s], codes[s]);
+	});
+};
+
+// #################
+// Exports
+// #################
+
+exports.compress = compress;
@@ -0,0 +1,334 @@
+/* _  ___  _| _    * _
+  | )[ | )(_](_ *  |_)       Copyright (c) 2012-2016 -- the nmdc.js authors
+                 ._|
+Permission to use, copy, modify, and/or distribute this software for any
+  purpose with or without fee is hereby granted, provided that the above
+  copyright notice and this permission notice appear in all copies.
+*/
+
+"use strict";
+var fs = require('fs');
+var path = require('path');
+var readline = require('readline');
+
+/**
+ * Constructor for a chat log. Main chat, private messages and system
+ *  messages are appended to one file per hub in opts.dir, one JSON entry
+ *  per line, and never rewritten.
+ *
+ *  Entries have time (milliseconds), hub, type ('public', 'private' or
+ *  'system'), nick (who wrote it, empty for system messages), peer (the
+ *  other side of a private conversation, otherwise empty) and message.
+ *
+ * @class ChatLog
+ * @constructor
+ * @param {Object} options dir (directory for the log files) and recent
+ *  (lines per hub kept in memory for replay())
+ */
+function ChatLog(options) {
+
+	// Simulate calling constructor with 'new' if it was omitted
+	if (!(this instanceof ChatLog)) {
+		return new ChatLog(options);
+	}
+
+	// Handlers
+	this.onEntry = function(entry){};
+	this.onError = function(e){};
+
+	this.opts = {
+		dir: '.',
+		recent: 500
+	};
+	if (typeof(options) !== 'undefined') {
+		for (var i in options) {
+			this.opts[i] = options[i];
+		}
+	}
+
+	this.streams = {};
+	this.recent = {}; // last opts.recent entries by hub, once loaded
+}
+
+/**
+ * Record everything said on a hub. The hub's existing onPublic, onPrivate
+ *  and onSystem handlers still get called. Private messages we send are not
+ *  seen by the hub connection, so log those with add().
+ *
+ * @param {Nmdc} nmdc Hub connection
+ * @param {String} hub Name to log the hub as
+ * @return {ChatLog} Returns self for chained calls
+ */
+ChatLog.prototype.attach = function(nmdc, hub) {
+	var self = this;
+	var onPublic = nmdc.onPublic;
+	var onPrivate = nmdc.onPrivate;
+	var onSystem = nmdc.onSystem;
+
+	nmdc.onPublic = function(nick, message) {
+		self.add({ hub: hub, type: 'public', nick: nick, message: message });
+		return onPublic.apply(nmdc, arguments);
+	};
+	nmdc.onPrivate = function(nick, message) {
+		self.add({ hub: hub, type: 'private', nick: nick, peer: nick, message: message });
+		return onPrivate.apply(nmdc, arguments);
+	};
+	nmdc.onSystem = function(message) {
+		self.add({ hub: hub, type: 'system', message: message });
+		return onSystem.apply(nmdc, arguments);
+	};
+	return this;
+};
+
+/**
+ * Append a line to the log.
+ *
+ * @param {Object} entry hub, type, nick, peer and message; time defaults to
+ *  now
+ * @return {Object} The entry as logged
+ */
+ChatLog.prototype.add = function(entry) {
+	var e = {
+		time: entry.time || Date.now(),
+		hub: entry.hub,
+		type: entry.type,
+		nick: entry.nick || '',
+		peer: entry.peer || '',
+		message: ''+entry.message
+	};
+
+	this.chatlog_stream(e.hub).write(JSON.stringify(e)+'\n');
+	if (e.hub in this.recent) {
+		var lines = this.recent[e.hub];
+		lines.push(e);
+		if (lines.length > this.opts.recent) {
+			lines.splice(0, lines.length - this.opts.recent);
+		}
+	}
+	this.onEntry(e);
+	return e;
+};
+
+/**
+ * Find logged lines.
+ *
+ * @param {Object} filter Any of hub (default all hubs), type, nick (matches
+ *  the writer or the other side of a private conversation), from and to
+ *  (times in milliseconds, inclusive), text (case-insensitive) and limit
+ *  (only the last this many matches)
+ * @param {Function} cb Callback(err, entries) with matches, oldest first
+ * @return {ChatLog} Returns self for chained calls
+ */
+ChatLog.prototype.query = function(filter, cb) {
+	var match = chatlog_matcher(filter);
+	var limit = filter.limit || 0;
+	var ret = [];
+
+	this.chatlog_files(filter.hub, function(err, files) {
+		if (err) {
+			return cb(err);
+		}
+		var next = function(i) {
+			if (i === files.length) {
+				ret.sort(function(a, b) { return a.time - b.time; });
+				return cb(null, limit ? ret.slice(-limit) : ret);
+			}
+			chatlog_read(files[i], function(e) {
+				if (match(e)) {
+					ret.push(e);
+					if (limit && ret.length > 2*limit && files.length === 1) {
+						ret.splice(0, ret.length - limit); // one file is in order
+					}
+				}
+			}, function(err) {
+				if (err) {
+					return cb(err);
+				}
+				next(i + 1);
+			});
+		};
+		next(0);
+	});
+	return this;
+};
+
+/**
+ * Get the most recent lines of a hub, e.g. for a client that just opened
+ *  the chat.
+ *
+ * @param {String} hub Hub name
+ * @param {Number} count Number of lines, at most opts.recent
+ * @param {Function} cb Callback(err, entries), oldest first
+ * @return {ChatLog} Returns self for chained calls
+ */
+ChatLog.prototype.replay = function(hub, count, cb) {
+	var self = this;
+	if (hub in this.recent) {
+		cb(null, this.recent[hub].slice(-count));
+		return this;
+	}
+	this.query({ hub: hub, limit: this.opts.recent }, function(err, entries) {
+		if (err) {
+			return cb(err);
+		}
+		if (!(hub in self.recent)) {
+			self.recent[hub] = entries;
+		}
+		cb(null, self.recent[hub].slice(-count));
+	});
+	return this;
+};
+
+/**
+ * Export logged lines as text, the way DC++ writes its logs:
+ *  '[2016-01-31 13:37] <nick> message', with '*** ' for system messages.
+ *
+ * @param {Object} filter As for query()
+ * @param {Function} cb Callback(err, text)
+ * @return {ChatLog} Returns self for chained calls
+ */
+ChatLog.prototype.exportText = function(filter, cb) {
+	this.query(filter, function(err, entries) {
+		if (err) {
+			return cb(err);
+		}
+		cb(null, entries.map(function(e) {
+			return '['+chatlog_time(e.time)+'] '+
+				((e.type === 'system') ? '*** ' : ('<'+e.nick+'> '))+
+				e.message.replace(/\r?\n/g, '\r\n')+'\r\n';
+		}).join(''));
+	});
+	return this;
+};
+
+/**
+ * Export logged lines as a JSON array.
+ *
+ * @param {Object} filter As for query()
+ * @param {Function} cb Callback(err, json)
+ * @return {ChatLog} Returns self for chained calls
+ */
+ChatLog.prototype.exportJSON = function(filter, cb) {
+	this.query(filter, function(err, entries) {
+		cb(err || null, err ? undefined : JSON.stringify(entries, null, '\t'));
+	});
+	return this;
+};
+
+/**
+ * Close the log files.
+ *
+ * @param {Function} cb Callback once everything is written (optional)
+ * @return {ChatLog} Returns self for chained calls
+ */
+ChatLog.prototype.close = function(cb) {
+	var streams = this.streams;
+	var pending = Object.keys(streams).length + 1;
+	var done = function() {
+		if (--pending === 0 && typeof(cb) === 'function') {
+			cb();
+		}
+	};
+	this.streams = {};
+	for (var hub in streams) {
+		streams[hub].end(done);
+	}
+	done();
+	return this;
+};
+
+// #################
+// Internal
+// #################
+
+ChatLog.prototype.chatlog_stream = function(hub) {
+	var self = this;
+	if (!(hub in this.streams)) {
+		var out = fs.createWriteStream(chatlog_path(this.opts.dir, hub), { flags: 'a' });
+		out.on('error', function(e) {
+			self.onError(e);
+			if (self.streams[hub] === out) {
+				delete self.streams[hub];
+			}
+		});
+		this.streams[hub] = out;
+	}
+	return this.streams[hub];
+};
+
+ChatLog.prototype.chatlog_files = function(hub, cb) {
+	var dir = this.opts.dir;
+	if (typeof(hub) === 'string') {
+		var file = chatlog_path(dir, hub);
+		return fs.access(file, function(err) {
+			cb(null, err ? [] : [file]);
+		});
+	}
+	fs.readdir(dir, function(err, names) {
+		if (err) {
+			return cb((err.code === 'ENOENT') ? null : err, []);
+		}
+		cb(null, names.filter(function(name) {
+			return path.extname(name) === '.jsonl';
+		}).map(function(name) {
+			return path.join(dir, name);
+		}));
+	});
+};
+
+// #################
+// Helpers
+// #################
+
+var chatlog_path = function(dir, hub) {
+	return path.join(dir, encodeURIComponent(hub)+'.jsonl');
+};
+
+var chatlog_read = function(file, onEntry, cb) {
+	var input = fs.createReadStream(file, { encoding: 'utf8' });
+	var failed = false;
+	input.on('error', function(err) {
+		failed = true;
+		cb(err);
+	});
+	var lines = readline.createInterface({ input: input, crlfDelay: Infinity });
+	lines.on('line', function(line) {
+		try {
+			onEntry(JSON.parse(line));
+		} catch (ex) {
+			// A line cut short by a crash; skip it
+		}
+	});
+	lines.on('close', function() {
+		if (! failed) {
+			cb(null);
+		}
+	});
+};
+
+var chatlog_matcher = function(filter) {
+	var nick = ('nick' in filter) ? filter.nick.toLowerCase() : null;
+	var text = ('text' in filter) ? filter.text.toLowerCase() : null;
+	var from = ('from' in filter) ? +filter.from : -Infinity;
+	var to = ('to' in filter) ? +filter.to : Infinity;
+	return function(e) {
+		return (!('type' in filter) || e.type === filter.type) &&
+			(nick === null || e.nick.toLowerCase() === nick ||
+				e.peer.toLowerCase() === nick) &&
+			(e.time >= from && e.time <= to) &&
+			(text === null || e.message.toLowerCase().indexOf(text) !== -1);
+	};
+};
+
+var chatlog_time = function(ms) {
+	var d = new Date(ms);
+	var pad = function(n) { return (n < 10 ? '0' : '')+n; };
+	return d.getFullYear()+'-'+pad(d.getMonth()+1)+'-'+pad(d.getDate())+' '+
+		pad(d.getHours())+':'+pad(d.getMinutes());
+};
+
+// #################
+// Exports
+// #################
+
+exports.ChatLog = ChatLog;
@@ -0,0 +1,302 @@
+/* _  ___  _| _    * _
+  | )[ | )(_](_ *  |_)       Copyright (c) 2012-2016 -- the nmdc.js authors
+                 ._|
+Permission to use, copy, modify, and/or distribute this software for any
+  purpose with or without fee is hereby granted, provided that the above
+  copyright notice and this permission notice appear in all copies.
+*/
+
+"use strict";
+var nmdc_bzip2 = require('./nmdc_bzip2.js');
+var nmdc_search = require('./nmdc_search.js');
+
+/**
+ * Constructor for a parsed file list. Entries use the same shape as Share
+ *  entries: name, path ('\' separated, directories end in '\'), size, tth,
+ *  isDir, and children (by name) for directories.
+ *
+ * @class FileList
+ * @constructor
+ * @param {String} xml FileListing XML document
+ */
+function FileList(xml) {
+
+	// Simulate calling constructor with 'new' if it was omitted
+	if (!(this instanceof FileList)) {
+		return new FileList(xml);
+	}
+
+	this.cid = '';
+	this.base = '/';
+	this.generator = '';
+	this.root = filelist_newdir('', '');
+	filelist_parse(this, xml);
+}
+
+/**
+ * Visit every entry in the list, parents before their children.
+ *
+ * @param {Function} cb Callback(entry, depth); return false to skip the
+ *  contents of a directory
+ * @return {FileList} Returns self for chained calls
+ */
+FileList.prototype.walk = function(cb) {
+	var visit = function(dir, depth) {
+		var names = Object.keys(dir.children).sort();
+		for (var i in names) {
+			var entry = dir.children[names[i]];
+			if (cb(entry, depth) !== false && entry.isDir) {
+				visit(entry, depth + 1);
+			}
+		}
+	};
+	visit(this.root, 0);
+	return this;
+};
+
+/**
+ * Look up an entry by path.
+ *
+ * @param {String} path Path, '\' or '/' separated
+ * @return {Object} The entry, or null if it is not in the list
+ */
+FileList.prototype.find = function(path) {
+	var parts = path.split(/[\\\/]/).filter(function(p) { return p.length; });
+	var entry = this.root;
+	for (var i in parts) {
+		if (!entry.isDir || !(parts[i] in entry.children)) {
+			return null;
+		}
+		entry = entry.children[parts[i]];
+	}
+	return entry;
+};
+
+/**
+ * Find entries in the list matching a search.
+ *
+ * @param {Object} params Search parameters as accepted by Nmdc.search(), or
+ *  a plain query string
+ * @return {Array} Matching entries
+ */
+FileList.prototype.search = function(params) {
+	var p = nmdc_search.parse('Hub:x ' + nmdc_search.build(
+		(typeof(params) === 'string') ? { query: params } : params
+	));
+	var ret = [];
+	this.walk(function(entry) {
+		if (nmdc_search.matchEntry(p, entry)) {
+			ret.push(entry);
+		}
+	});
+	return ret;
+};
+
+/**
+ * Get the total size of all files in the list.
+ *
+ * @return {Number} Size in bytes
+ */
+FileList.prototype.getSize = function() {
+	return this.root.size;
+};
+
+/**
+ * Compare against an older copy of the same user's list.
+ *
+ * @param {FileList} older Previous list
+ * @return {Object} added, removed and changed arrays of file entries (from
+ *  this list, except for removed)
+ */
+FileList.prototype.diff = function(older) {
+	var ret = { added: [], removed: [], changed: [] };
+	var mine = Object.create(null);
+	this.walk(function(entry) {
+		if (! entry.isDir) {
+			mine[entry.path] = entry;
+		}
+	});
+	older.walk(function(entry) {
+		if (entry.isDir) {
+			return;
+		}
+		if (!(entry.path in mine)) {
+			ret.removed.push(entry);
+		} else {
+			var now = mine[entry.path];
+			if (now.size !== entry.size || now.tth !== entry.tth) {
+				ret.changed.push(now);
+			}
+			delete mine[entry.path];
+		}
+	});
+	for (var path in mine) {
+		ret.added.push(mine[path]);
+	}
+	return ret;
+};
+
+/**
+ * Generate a FileListing XML document for (part of) a share.
+ *
+ * @param {Share} share Share to list
+ * @param {Object} options cid, generator, base (ADC path of the directory
+ *  to list, default '/') and recursive (default true; otherwise only one
+ *  level is listed and subdirectories are marked Incomplete)
+ * @return {String} XML document, or null if base is not a shared directory
+ */
+var generate = function(share, options) {
+	var base = options.base || '/';
+	var recursive = ('recursive' in options) ? !!options.recursive : true;
+	var dir = share.findByPath(base);
+	if (dir === null || !dir.isDir) {
+		return null;
+	}
+	if (base[base.length - 1] !== '/') {
+		base += '/';
+	}
+
+	var out = [
+		'<?xml version="1.0" encoding="utf-8" standalone="yes"?>',
+		'<FileListing Version="1" CID="'+filelist_escape(options.cid || '')+
+			'" Base="'+filelist_escape(base)+
+			'" Generator="'+filelist_escape(options.generator || '')+'">'
+	];
+
+	var walk = function(dir, indent) {
+		var names = Object.keys(dir.children).sort();
+		for (var i in names) {
+			var entry = dir.children[names[i]];
+			if (entry.isDir) {
+				if (! recursive) {
+					out.push(indent+'<Directory Name="'+filelist_escape(entry.name)+
+						'" Incomplete="1"/>');
+					continue;
+				}
+				out.push(indent+'<Directory Name="'+filelist_escape(entry.name)+'">');
+				walk(entry, indent+'\t');
+				out.push(indent+'</Directory>');
+			} else {
+				out.push(indent+'<File Name="'+filelist_escape(entry.name)+
+					'" Size="'+entry.size+'"'+
+					(entry.tth.length ? (' TTH="'+entry.tth+'"') : '')+'/>');
+			}
+		}
+	};
+	walk(dir, '\t');
+
+	out.push('</FileListing>');
+	return out.join('\n')+'\n';
+};
+
+/**
+ * Compress a file list the way it is served as files.xml.bz2.
+ *
+ * @param {String} xml XML document
+ * @return {Buffer} bzip2 data
+ */
+var compress = function(xml) {
+	return nmdc_bzip2.compress(Buffer.from(xml, 'utf8'));
+};
+
+// #################
+// Helpers
+// #################
+
+var filelist_newdir = function(name, path) {
+	return {
+		name: name,
+		path: path,
+		size: 0,
+		children: Object.create(null),
+		incomplete: false,
+		isDir: true
+	};
+};
+
+var filelist_parse = function(list, xml) {
+	var stack = [list.root];
+	var tag = /<(\/?)([A-Za-z]+)((?:\s+[A-Za-z]+\s*=\s*"[^"]*")*)\s*(\/?)>/g;
+	var m;
+
+	while ((m = tag.exec(xml)) !== null) {
+		var dir = stack[stack.length - 1];
+		var attrs = filelist_attrs(m[3]);
+
+		if (m[1] === '/') {
+			if (m[2] === 'Directory' && stack.length > 1) {
+				var done = stack.pop();
+				stack[stack.length - 1].size += done.size;
+			}
+			continue;
+		}
+
+		if (m[2] === 'FileListing') {
+			list.cid = attrs.CID || '';
+			list.base = attrs.Base || '/';
+			list.generator = attrs.Generator || '';
+
+			// Partial lists are rooted at Base
+			var parts = list.base.split('/').filter(function(p) { return p.length; });
+			list.root.path = parts.length ? (parts.join('\\') + '\\') : '';
+
+		} else if (m[2] === 'Directory' && ('Name' in attrs)) {
+			var sub = filelist_newdir(attrs.Name, dir.path + attrs.Name + '\\');
+			sub.incomplete = (attrs.Incomplete === '1');
+			dir.children[sub.name] = sub;
+			if (m[4] !== '/') {
+				stack.push(sub);
+			}
+
+		} else if (m[2] === 'File' && ('Name' in attrs)) {
+			var file = {
+				name: attrs.Name,
+				path: dir.path + attrs.Name,
+				size: +attrs.Size || 0,
+				tth: attrs.TTH || '',
+				isDir: false
+			};
+			dir.children[file.name] = file;
+			dir.size += file.size;
+		}
+	}
+
+	if (stack.length !== 1) {
+		throw new Error('Truncated file list');
+	}
+};
+
+var filelist_attrs = function(str) {
+	var ret = {};
+	var attr = /([A-Za-z]+)\s*=\s*"([^"]*)"/g;
+	var m;
+	while ((m = attr.exec(str)) !== null) {
+		ret[m[1]] = filelist_unescape(m[2]);
+	}
+	return ret;
+};
+
+var filelist_unescape = function(str) {
+	return str.replace(/&(#x[0-9a-fA-F]+|#[0-9]+|[a-z]+);/g, function(m, e) {
+		if (e[0] === '#') {
+			return String.fromCodePoint(
+				(e[1] === 'x') ? parseInt(e.substr(2), 16) : parseInt(e.substr(1), 10)
+			);
+		}
+		var named = { amp: '&', lt: '<', gt: '>', quot: '"', apos: "'" };
+		return (e in named) ? named[e] : m;
+	});
+};
+
+var filelist_escape = function(str) {
+	return (''+str).replace(/&/g, '&amp;').replace(/</g, '&lt;').
+		replace(/>/g, '&gt;').replace(/"/g, '&quot;').replace(/'/g, '&apos;');
+};
+
+// #################
+// Exports
+// #################
+
+exports.FileList = FileList;
+exports.generate = generate;
+exports.compress = compress;
@@ -0,0 +1,443 @@
+/* _  ___  _| _    * _
+  | )[ | )(_](_ *  |_)       Copyright (c) 2012-2016 -- the nmdc.js authors
+                 ._|
+Permission to use, copy, modify, and/or distribute this software for any
+  purpose with or without fee is hereby granted, provided that the above
+  copyright notice and this permission notice appear in all copies.
+*/
+
+"use strict";
+var Nmdc = require('./nmdc_module_test.js').Nmdc;
+var Share = require('./nmdc_share.js').Share;
+var nmdc_search = require('./nmdc_search.js');
+
+var hubs_counter = 0;
+
+/**
+ * Constructor for a set of hub connections sharing one identity and one
+ *  share. Each hub is an Nmdc instance created with addHub().
+ *
+ *  Users are aggregated across hubs: the same nick on several hubs counts
+ *  as one user unless their IPs (from $UserIP) or share sizes differ. Each
+ *  aggregated user is an object with id (unique for as long as the user is
+ *  around), nick, hubIds (hubs they are on, in the order the hubs were
+ *  added), users (User by hub id), share, ip and isOp.
+ *
+ * @class HubManager
+ * @constructor
+ * @param {Object} options Options for every hub, as for Nmdc. tcp_port and
+ *  udp_port are the first ports to use; every hub gets its own unless the
+ *  hub options set them.
+ */
+function HubManager(options) {
+
+	// Simulate calling constructor with 'new' if it was omitted
+	if (!(this instanceof HubManager)) {
+		return new HubManager(options);
+	}
+
+	var self = this;
+
+	// Handlers
+	this.onStateChange  = function(id, state){};
+	this.onSystem       = function(id, s){};
+	this.onDebug        = function(id, s){};
+	this.onPublic       = function(id, nick, message){};
+	this.onPrivate      = function(id, nick, message){};
+	this.onUserJoin     = function(user){};
+	this.onUserPart     = function(user){};
+	this.onUserUpdate   = function(user, id, changedFields){};
+	this.onSearchResult = function(id, result){};
+
+	this.opts = {
+		share_dirs: [],
+		hash_cache: '',
+		tcp_port: 60333,
+		udp_port: 57263,
+		search_window: 60*1000
+	};
+	if (typeof(options) !== 'undefined') {
+		for (var i in options) {
+			this.opts[i] = options[i];
+		}
+	}
+
+	this.hubs = {};
+	this.hubIds = [];
+	this.users = {}; // aggregated users by nick, usually just one per nick
+	this.lastPrivate = {}; // hub each nick last sent us a PM on
+	this._ports = 0;
+
+	this.share = new Share({ cache: this.opts.hash_cache });
+	this.share.onChange = function() {
+		self.hubIds.forEach(function(id) {
+			self.hubs[id].shareChanged();
+		});
+	};
+	this.share.onError = function(e) {
+		self.onDebug('', 'Share: '+e.message);
+	};
+	this.opts.share_dirs.forEach(function(d) {
+		if (typeof(d) === 'string') {
+			self.share.addDirectory(d);
+		} else {
+			self.share.addDirectory(d.path, d.name);
+		}
+	});
+	if (this.share.dirs.length) {
+		this.share.refresh();
+	}
+}
+
+/**
+ * Add a hub and connect to it, unless options.shouldInstantConnect is false.
+ *
+ * @param {String} id Name to refer to the hub by
+ * @param {Object} options Options for this hub, on top of the ones passed to
+ *  the constructor (e.g. hub, nick, password)
+ * @return {Nmdc} The new hub connection
+ */
+HubManager.prototype.addHub = function(id, options) {
+	var self = this;
+	if (id in this.hubs) {
+		throw new Error("Hub '"+id+"' already exists");
+	}
+
+	var o = {};
+	for (var i in this.opts) {
+		o[i] = this.opts[i];
+	}
+	for (var j in options) {
+		o[j] = options[j];
+	}
+	if (!options || !('tcp_port' in options)) {
+		o.tcp_port = this.opts.tcp_port + this._ports;
+	}
+	if (!options || !('udp_port' in options)) {
+		o.udp_port = this.opts.udp_port + this._ports;
+	}
+	this._ports++;
+	o.share = this.share;
+	var connect = ('shouldInstantConnect' in o) ? o.shouldInstantConnect : true;
+	o.shouldInstantConnect = false; // after our handlers are in place
+
+	var hub = new Nmdc(o);
+	this.hubs[id] = hub;
+	this.hubIds.push(id);
+
+	hub.onStateChange = function(state) {
+		self.hubs_updatecounts();
+		if (state === hub.STATE_DISCONNECTED || state === hub.STATE_LOGGED_IN) {
+			// Users only count while we are logged in
+			Object.keys(hub.users).forEach(function(nick) {
+				self.hubs_regroup(nick, id, ['hubs']);
+			});
+		}
+		self.onStateChange(id, state);
+	};
+	hub.onOpListChange = function(ops) {
+		self.hubs_updatecounts();
+	};
+	hub.onSystem = function(s) {
+		self.onSystem(id, s);
+	};
+	hub.onDebug = function(s) {
+		self.onDebug(id, s);
+	};
+	hub.onPublic = function(nick, message) {
+		self.onPublic(id, nick, message);
+	};
+	hub.onPrivate = function(nick, message) {
+		self.lastPrivate[nick] = id;
+		self.onPrivate(id, nick, message);
+	};
+	hub.onUserJoin = function(nick) {
+		self.hubs_regroup(nick, id, ['hubs']);
+	};
+	hub.onUserPart = function(nick) {
+		self.hubs_regroup(nick, id, ['hubs']);
+	};
+	hub.onUserUpdate = function(user, changedFields) {
+		self.hubs_regroup(user.nick, id, changedFields);
+	};
+	hub.onSearchResult = function(result) {
+		self.onSearchResult(id, result);
+	};
+
+	if (connect) {
+		hub.reconnect();
+	}
+	return hub;
+};
+
+/**
+ * Disconnect from a hub and forget about it.
+ *
+ * @param {String} id Hub name as passed to addHub()
+ * @return {HubManager} Returns self for chained calls
+ */
+HubManager.prototype.removeHub = function(id) {
+	var self = this;
+	var hub = this.getHub(id);
+	hub.setAutoReconnect(false);
+	hub.disconnect();
+	delete this.hubs[id];
+	this.hubIds.splice(this.hubIds.indexOf(id), 1);
+	for (var nick in this.lastPrivate) {
+		if (this.lastPrivate[nick] === id) {
+			delete this.lastPrivate[nick];
+		}
+	}
+	Object.keys(hub.users).forEach(function(nick) {
+		self.hubs_regroup(nick, id, ['hubs']);
+	});
+	this.hubs_updatecounts();
+	return this;
+};
+
+/**
+ * Get a hub connection.
+ *
+ * @param {String} id Hub name as passed to addHub()
+ * @return {Nmdc} The hub connection
+ */
+HubManager.prototype.getHub = function(id) {
+	if (!(id in this.hubs)) {
+		throw new Error("No hub '"+id+"'");
+	}
+	return this.hubs[id];
+};
+
+/**
+ * Get every user on the hubs we are logged in to, aggregated across hubs.
+ *
+ * @return {Array} Aggregated users, sorted by nick
+ */
+HubManager.prototype.getUsers = function() {
+	var users = this.users;
+	var ret = [];
+	Object.keys(users).sort().forEach(function(nick) {
+		ret = ret.concat(users[nick]);
+	});
+	return ret;
+};
+
+/**
+ * Look up users by nick.
+ *
+ * @param {String} nick User nick
+ * @return {Array} Aggregated users with that nick; more than one if
+ *  different people use it on different hubs
+ */
+HubManager.prototype.findUser = function(nick) {
+	return this.users[nick] || [];
+};
+
+/**
+ * Post a message to main chat on every hub we are logged in to.
+ *
+ * @param {String} message Message to send
+ * @return {HubManager} Returns self for chained calls
+ */
+HubManager.prototype.say = function(message) {
+	var self = this;
+	this.hubs_loggedin().forEach(function(id) {
+		self.hubs[id].say(message);
+	});
+	return this;
+};
+
+/**
+ * Send a private message. Without a hub, it goes to the hub the user last
+ *  sent us a PM on, or else the first hub they are on.
+ *
+ * @param {String} nick User nick
+ * @param {String} message Message to send
+ * @param {String} id Hub to send through (optional)
+ * @return {String} Hub the message was sent through
+ */
+HubManager.prototype.pm = function(nick, message, id) {
+	if (typeof(id) === 'undefined') {
+		id = this.lastPrivate[nick];
+		var online = this.findUser(nick).map(function(u) { return u.hubIds; });
+		online = [].concat.apply([], online);
+		if (online.indexOf(id) === -1) {
+			if (! online.length) {
+				throw new Error("User '"+nick+"' is not on any hub");
+			}
+			id = online[0];
+		}
+	}
+	this.getHub(id).pm(nick, message);
+	return id;
+};
+
+/**
+ * Search every hub we are logged in to. Results are collected on one handle
+ *  (see nmdc_search.js) and have a hubId field; a user on several hubs only
+ *  counts once.
+ *
+ * @param {Object} params Search parameters, as for Nmdc.search()
+ * @return {Search} Search handle
+ */
+HubManager.prototype.search = function(params) {
+	var self = this;
+	var window = ('window' in params) ? params.window : this.opts.search_window;
+	var handle = new nmdc_search.Search(params, window);
+	var seen = {};
+
+	this.hubs_loggedin().forEach(function(id) {
+		var sub = self.hubs[id].search(params);
+		sub.onResult = function(result) {
+			var key = result.nick+'\x00'+result.path;
+			if (handle.expired || (key in seen)) {
+				return;
+			}
+			seen[key] = true;
+			result.hubId = id;
+			handle.addResult(result);
+		};
+	});
+	return handle;
+};
+
+/**
+ * Disconnect from every hub.
+ *
+ * @return {HubManager} Returns self for chained calls
+ */
+HubManager.prototype.disconnect = function() {
+	var self = this;
+	this.hubIds.forEach(function(id) {
+		self.hubs[id].setAutoReconnect(false);
+		self.hubs[id].disconnect();
+	});
+	return this;
+};
+
+// #################
+// Internal
+// #################
+
+HubManager.prototype.hubs_loggedin = function() {
+	var hubs = this.hubs;
+	return this.hubIds.filter(function(id) {
+		return hubs[id].getState() === hubs[id].STATE_LOGGED_IN;
+	});
+};
+
+HubManager.prototype.hubs_updatecounts = function() {
+	// Every hub that accepted our nick counts, including the ones still
+	//  logging in, so our first $MyINFO on a hub already includes it
+	var self = this;
+	var counts = { normal: 0, registered: 0, op: 0 };
+	var counted = this.hubIds.filter(function(id) {
+		return self.hubs[id].getState() >= self.hubs[id].STATE_VALIDATED;
+	});
+	counted.forEach(function(id) {
+		counts[self.hubs[id].getHubRole()]++;
+	});
+	counted.forEach(function(id) {
+		self.hubs[id].setHubCounts(counts);
+	});
+	return this;
+};
+
+HubManager.prototype.hubs_regroup = function(nick, id, changedFields) {
+	// Sort the hubs a nick is on into users
+	var self = this;
+	var old = this.users[nick] || [];
+	var groups = [];
+
+	this.hubs_loggedin().forEach(function(hid) {
+		var user = self.hubs[hid].users[nick];
+		if (! user) {
+			return;
+		}
+		for (var i = 0; i < groups.length; i++) {
+			if (groups[i].every(function(m) { return hubs_same(m.user, user); })) {
+				groups[i].push({ id: hid, user: user });
+				return;
+			}
+		}
+		groups.push([{ id: hid, user: user }]);
+	});
+
+	// Keep the objects users already know about where the hubs overlap
+	var unused = old.slice();
+	var ret = groups.map(function(group) {
+		var agg = null;
+		for (var i = 0; i < unused.length && agg === null; i++) {
+			if (group.some(function(m) { return unused[i].hubIds.indexOf(m.id) !== -1; })) {
+				agg = unused.splice(i, 1)[0];
+			}
+		}
+		var isNew = (agg === null);
+		if (isNew) {
+			agg = { id: ++hubs_counter, nick: nick };
+		}
+		var hubIds = JSON.stringify(agg.hubIds);
+		hubs_fill(agg, group);
+		return {
+			agg: agg,
+			isNew: isNew,
+			changed: group.some(function(m) { return m.id === id; }) ||
+				hubIds !== JSON.stringify(agg.hubIds)
+		};
+	});
+
+	if (ret.length) {
+		this.users[nick] = ret.map(function(r) { return r.agg; });
+	} else {
+		delete this.users[nick];
+		delete this.lastPrivate[nick];
+	}
+
+	unused.forEach(function(agg) {
+		self.onUserPart(agg);
+	});
+	ret.forEach(function(r) {
+		if (r.isNew) {
+			self.onUserJoin(r.agg);
+		} else if (r.changed) {
+			self.onUserUpdate(r.agg, id, changedFields);
+		}
+	});
+	return this;
+};
+
+// #################
+// Helpers
+// #################
+
+var hubs_same = function(a, b) {
+	// The IP is the best evidence, then the share size. A nick on its own is
+	//  taken to be the same person.
+	if (a.ip.length && b.ip.length) {
+		return a.ip === b.ip;
+	}
+	if (a.hasInfo && b.hasInfo) {
+		return a.share === b.share;
+	}
+	return true;
+};
+
+var hubs_fill = function(agg, group) {
+	agg.hubIds = group.map(function(m) { return m.id; });
+	agg.users = {};
+	agg.share = 0;
+	agg.ip = '';
+	agg.isOp = false;
+	group.forEach(function(m) {
+		agg.users[m.id] = m.user;
+		agg.share = Math.max(agg.share, m.user.share);
+		agg.ip = agg.ip || m.user.ip;
+		agg.isOp = agg.isOp || m.user.isOp;
+	});
+};
+
+// #################
+// Exports
+// #################
+
+exports.HubManager = HubManager;
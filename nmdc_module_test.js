@@ -11,11 +11,24 @@ var net = require('net');
 var tls = require('tls');
 var dgram = require('dgram');
 var fs = require('fs');
+var path = require('path');
 var decompress = require('decompress');
 var bunzip = require('seek-bzip')
+var nmdc_search = require('./nmdc_search.js');
+var Share = require('./nmdc_share.js').Share;
+var nmdc_filelist = require('./nmdc_filelist.js');
+var FileList = nmdc_filelist.FileList;
+var PeerConnection = require('./nmdc_peer.js').PeerConnection;
+var UploadManager = require('./nmdc_upload.js').UploadManager;
+var nmdc_user = require('./nmdc_user.js');
+var User = nmdc_user.User;
+var nmdc_tth = require('./nmdc_tth.js');
 
-var NMDC_JS_RECONNECT_TIMEOUT = 30*1000;
+var NMDC_JS_RECONNECT_MIN = 5*1000;
+var NMDC_JS_RECONNECT_MAX = 10*60*1000;
+var NMDC_JS_HEALTH_INTERVAL = 10*1000;
 var NMDC_JS_KEEPALIVE_TIMEOUT = 15*1000;
+var NMDC_JS_MAX_REDIRECTS = 3;
 
 /**
  * Constructor for new Nmdc class instances.
@@ -29,6 +42,8 @@ function Nmdc(options, onConnect) {
 	if (!(this instanceof Nmdc)) {
 		return new Nmdc(options, onConnect);
 	}
+	
+	var self = this;
 
 	// Handlers
 	this.onConnect    = onConnect || function(){};
@@ -37,14 +52,22 @@ function Nmdc(options, onConnect) {
 	this.onPrivate    = function(u,m){};
 	this.onUserJoin   = function(u){};
 	this.onUserPart   = function(u){};
-	this.onUserUpdate = function(u){};
+	this.onUserUpdate = function(user, changedFields){};
+	this.onOpListChange = function(ops){};
 	this.onDebug      = function(s){};
 	this.onClosed     = function(){};	
 	this.onStateChange = function(i){};
 	this.onHubNameChange = function(s){};
 	this.onUserCommand= function(type, context, title, raw){};
+	this.onSearchResult = function(r){};
+	this.onPeerConnected = function(peer){};
+	this.onTransferProgress = function(peer, transfer){};
+	this.onTransferComplete = function(peer, transfer){};
+	this.onPeerError = function(peer, e){};
+	this.onRedirect = function(target){ return true; };
 	
 	this.opts = {
+		hub: '',
 		address: '127.0.0.1',
 		port: 411,
 		tls: false,
@@ -54,11 +77,27 @@ function Nmdc(options, onConnect) {
 		nick: 'nmdcjs_user',
 		desc: '',
 		tag: "nmdc.js 1.6",
-		share: 0,
+		share_dirs: [],
+		share: null,
+		hash_cache: '',
+		cid: '',
+		slots: 5,
+		minislots: 3,
+		minislot_size: 64*1024,
 		follow_redirects: false,
 		ignore_chat_failures: false,
 		shouldInstantConnect: true,
-		active: true
+		active: true,
+		clientIP: '',
+		udp_port: 57263,
+		tcp_port: 60333,
+		filelist_dir: '',
+		filelist_timeout: 60*1000,
+		search_window: 60*1000,
+		login_timeout: 10*1000,
+		keepalive_interval: 60*1000,
+		stall_timeout: 15*60*1000,
+		login_stall_timeout: 60*1000
 	};
 	
 	if (typeof(options) !== 'undefined') {
@@ -67,14 +106,72 @@ function Nmdc(options, onConnect) {
 		}
 	}
 	
+	// opts.hub overrides address, port and tls with one URL or a list of
+	//  them to fail over between
+	this.hubs = [].concat(this.opts.hub || []).map(function(url) {
+		var hub = nmdc_parsehub(url);
+		if (hub === null) {
+			throw new Error("Invalid hub address '" + url + "'");
+		}
+		return hub;
+	});
+	this.hubIndex = 0;
+	this._redirect = null;
+	this._redirects = 0;
+	this._loginFailed = false;
+	
 	this.users = {};
 	this.hubName = '';
+	this.searches = [];
+	this.peers = [];
+	this.peerRequests = {};
+	this.peerConnecting = {};
+	this.share = this.opts.share || new Share({ cache: this.opts.hash_cache });
+	this.fileList = null;
+	this.registered = false; // the hub asked for our password
+	this.hubCounts = null;
+	this.uploads = new UploadManager(this);
+	this.stats = {
+		downloaded: 0, // transfer data, after decompression
+		downloadedWire: 0, // bytes actually received
+		uploaded: 0,
+		uploadedWire: 0
+	};
+	if (this.opts.share === null) {
+		// A Share passed in opts.share is kept up to date by its owner, who
+		//  should call shareChanged()
+		this.share.onChange = function() {
+			self.onDebug('Share updated, '+self.share.count+' files');
+			self.shareChanged();
+		};
+		this.share.onError = function(e) {
+			self.onDebug('Share: '+e.message);
+		};
+		this.opts.share_dirs.forEach(function(d) {
+			if (typeof(d) === 'string') {
+				self.share.addDirectory(d);
+			} else {
+				self.share.addDirectory(d.path, d.name);
+			}
+		});
+		if (this.share.dirs.length) {
+			this.share.refresh();
+		}
+	}
 	
 	this.nmdc_connected = false;	
 	this.nmdc_partial = '';
 	this.sentOurHello = false;
+	this.state = Nmdc.prototype.STATE_DISCONNECTED;
+	this._loginTimer = false;
 	
 	this._reconnector = false;
+	this._health = false;
+	this._lastSent = 0;
+	this._lastReceived = 0;
+	this.reconnectAttempts = 0;
+	this.nextReconnect = 0; // time of the next attempt, 0 if none is planned
+	this.fatalError = ''; // why we stopped reconnecting
 	
 	this.sock = null;
 	this.server=null;
@@ -87,8 +184,15 @@ function Nmdc(options, onConnect) {
 	}
 }
 
+// Login phases, as passed to onStateChange. DISCONNECTED and CONNECTED keep
+//  their old values; the phases added later follow in login order
 Nmdc.prototype.STATE_DISCONNECTED = 0;
-Nmdc.prototype.STATE_CONNECTED = 1;
+Nmdc.prototype.STATE_CONNECTED = 1;  // waiting for $Lock
+Nmdc.prototype.STATE_CONNECTING = 2; // waiting for the socket to open
+Nmdc.prototype.STATE_LOCKED = 3;     // sent $Key and $ValidateNick
+Nmdc.prototype.STATE_VALIDATED = 4;  // hub said $Hello to our nick
+Nmdc.prototype.STATE_IDENTIFIED = 5; // sent our $MyINFO
+Nmdc.prototype.STATE_LOGGED_IN = 6;
 
 Nmdc.prototype.USERCOMMAND_TYPE_SEPARATOR = 0;
 Nmdc.prototype.USERCOMMAND_TYPE_RAW = 1;
@@ -114,6 +218,7 @@ Nmdc.prototype.USERCOMMAND_CONTEXT_FILELIST = 8;
  */
 Nmdc.prototype.raw = function(raw, cb) {
 	this.onDebug("SENDING: " + raw);
+	this._lastSent = Date.now();
 	this.sock.write(raw, this.opts.encoding, cb);
 	return this;
 };
@@ -162,63 +267,87 @@ Nmdc.prototype.pm = function(user, message, cb) {
 };
 
 /**
- * Disconnect from the hub. Note that if you set nmdc.opts.auto_reconnect, then
- *  the hub might auto-reconnect (unless you also call setAutoReconnect(false)).
+ * Disconnect from the hub. Only connections that are lost or stall trigger
+ *  auto-reconnect; disconnecting on purpose does not.
  *
  * @return {Nmdc} Returns self for chained calls
  */
 Nmdc.prototype.disconnect = function() {
 	if (this.sock !== null) {
+		if (! this.nmdc_connected) {
+			this.onDebug('Aborting incomplete connection');
+			this._loginFailed = true; // try the next hub in the list
+		}
 		this.sock.destroy();
 		this.sock = null;
 	}
 	
 	if (this.nmdc_connected) {
 		this.onClosed(); // normal disconnection event
-	} else {
-		if (this.sock !== null) {
-			this.onDebug('Aborting incomplete connection');
-		}
 	}
 	
 	this.nmdc_connected = false;
-	this.onStateChange(Nmdc.prototype.STATE_DISCONNECTED);
+	clearTimeout(this._loginTimer);
+	this._loginTimer = false;
+	clearInterval(this._health);
+	this._health = false;
+
+	// Whoever is online is only known again from the next user list
+	var self = this;
+	var hadOps = this.getOps().length > 0;
+	var nicks = Object.keys(this.users);
+	this.users = {};
+	nicks.forEach(function(nick) {
+		self.onUserPart(nick);
+	});
+	if (hadOps) {
+		this.onOpListChange([]);
+	}
+	this.nmdc_setstate(Nmdc.prototype.STATE_DISCONNECTED);
 	return this;
 };
 
 /**
  * Configure whether the object automatically reconnects to the hub on failure.
+ *  Attempts back off exponentially, and stop after the hub refuses us with
+ *  $BadPass or $ValidateDenide until reconnect() is called. A full hub is
+ *  tried again like any other lost connection.
  *
  * @param {Boolean} enable Whether to enable autoreconnect behaviour
  * @return {Nmdc} Returns self for chained calls
  */
 Nmdc.prototype.setAutoReconnect = function(enable) {
-
-	var self = this;
 	this.opts.auto_reconnect = !!enable;
 
-	if (enable && this._reconnector === false) {
-		this._reconnector = setInterval(
-			function() {
-				if (! self.nmdc_connected) {
-					self.onDebug('Reconnecting...');
-					self.reconnect();
-				}
-			},
-			NMDC_JS_RECONNECT_TIMEOUT
-		);
-	
+	if (enable && this.sock === null) {
+		this.nmdc_schedulereconnect();
 	} else if (!enable && this._reconnector !== false) {
-		clearInterval(this._reconnector);
+		clearTimeout(this._reconnector);
 		this._reconnector = false;
-		
+		this.nextReconnect = 0;
 	}
 	
 	return this;
 };
 
 /**
- * Connect to the hub as configured by self.opts.
+ * Get the state of automatic reconnection, e.g. for display.
+ *
+ * @return {Object} attempts (failed attempts since we were last logged in),
+ *  next (time of the next attempt in milliseconds, 0 if none is planned) and
+ *  fatalError (why reconnecting stopped, or empty string)
+ */
+Nmdc.prototype.getReconnectInfo = function() {
+	return {
+		attempts: this.reconnectAttempts,
+		next: this.nextReconnect,
+		fatalError: this.fatalError
+	};
+};
+
+/**
+ * Connect to the hub as configured by self.opts. With a list of hubs in
+ *  opts.hub, the next one is tried if we didn't get logged in to the last.
  *
  * @return {Nmdc} Returns self for chained calls
  */
@@ -228,39 +357,73 @@ Nmdc.prototype.reconnect = function() {
 	if (this.sock !== null) {
 		this.disconnect();
 	}
+	if (this._reconnector !== false) {
+		clearTimeout(this._reconnector);
+		this._reconnector = false;
+	}
+	this.nextReconnect = 0;
+	this.fatalError = '';
 	
-	this.sock = null;
+	var target = this._redirect;
+	this._redirect = null;
+	if (target === null && this.hubs.length) {
+		if (this._loginFailed) {
+			this.hubIndex = (this.hubIndex + 1) % this.hubs.length;
+		}
+		target = this.hubs[this.hubIndex];
+	}
+	if (target !== null) {
+		this.opts.address = target.address;
+		this.opts.port = target.port;
+		this.opts.tls = target.tls;
+	}
+	this._loginFailed = false;
+	
+	var sock;
 	if (this.opts.tls) {
-		this.sock = tls.connect(this.opts.port, this.opts.address);
+		sock = tls.connect(this.opts.port, this.opts.address);
 	} else {
-		this.sock = net.createConnection(this.opts.port, this.opts.address);
+		sock = net.createConnection(this.opts.port, this.opts.address);
 	}
+	this.sock = sock;
 	this.sock.setEncoding(this.opts.encoding);
 	this.sock.setKeepAlive(true, NMDC_JS_KEEPALIVE_TIMEOUT);
 	
 	this.sock.on('connect', function() {
 		self.onSystem('Connected to server.');
+		self._lastReceived = self._lastSent = Date.now();
+		self._health = setInterval(function() {
+			self.nmdc_checkhealth();
+		}, NMDC_JS_HEALTH_INTERVAL);
+		self.nmdc_setstate(Nmdc.prototype.STATE_CONNECTED);
 	});
 	
-	// Network errors
+	// Network errors, ignored once we moved on to another socket
 	
 	this.sock.on('end', function() {
-		self.onSystem('Connection closed.');
-		self.disconnect();
+		if (self.sock === sock) {
+			self.onSystem('Connection closed.');
+			self.nmdc_lost();
+		}
 	});
 	
 	this.sock.on('error', function(e) {
-		self.onSystem('Connection error ('+e.code+')');
-		self.disconnect();
+		if (self.sock === sock) {
+			self.onSystem('Connection error ('+e.code+')');
+			self.nmdc_lost();
+		}
 	});
 	
 	this.sock.on('timeout', function() {
-		self.onSystem('Connection timed out.');
-		self.disconnect();
+		if (self.sock === sock) {
+			self.onSystem('Connection timed out.');
+			self.nmdc_lost();
+		}
 	});
 	
 	// Data
 	this.sock.on('data', function(data) {
+		self._lastReceived = Date.now();
 		var commands = data.split('|');
 		//console.log(commands);
 		// Handle protocol buffering
@@ -274,9 +437,7 @@ Nmdc.prototype.reconnect = function() {
 			
 	});
 	
-	// Handle auto reconnect
-	this.setAutoReconnect(!! this.opts.auto_reconnect);
-	this.onStateChange(Nmdc.prototype.STATE_CONNECTED);
+	this.nmdc_setstate(Nmdc.prototype.STATE_CONNECTING);
 	return this;
 };
 
@@ -289,6 +450,15 @@ Nmdc.prototype.getIsConnected = function() {
 	return !!this.sock;
 }
 
+/**
+ * Get the current login phase.
+ *
+ * @return {Number} One of the STATE_ constants
+ */
+Nmdc.prototype.getState = function() {
+	return this.state;
+};
+
 /**
  * Get the current hub name.
  *
@@ -297,143 +467,337 @@ Nmdc.prototype.getIsConnected = function() {
 Nmdc.prototype.getHubName = function() {
 	return this.hubName;
 }
-/**Downloading active client settings
-*
-*/
-Nmdc.prototype.activedownload=function(nick)
-{
-
-var self=this;
-this.tcps=net.createServer(function(soc) {
-	var sendontcp=function(value){
-		console.log('SENDING: '+value);
-		soc.write(value);
-	}
-    soc.on('data', function(data) {
-    	//console.log(data);
-        data=data+'';
-        //console.log('DATA ' + soc.remoteAddress + ': ' + data);
-        var comm = data.split('|');
-        console.log('check this out'+comm[0]);
-        for(var i in comm)
-        {
-        	//console.log(comm[i]);
-        	var cmd = comm[i].split(' ')[0];
-			var rem = comm[i].substr(cmd.length + 1);
-        	//var splitted = comm[i].split(' ');
-        	//console.log(cmd); 
-        	//console.log(rem);
-        if(cmd==='$MyNick')
-        	sendontcp('$MyNick '+self.opts.nick+'|');
-        if(cmd==='$Lock')
-        {
-        	var key = nmdc_locktokey(rem);
-    		console.log('KEY: '+key);
-			sendontcp(
-				'$Lock '+rem+'|'+
-				//'$Supports NoGetINFO UserCommand UserIP2 '+
-				'$Supports MiniSlots XmlBZList ADCGet TTHL TTHF ZLIG|'+
-				'$Direction Download 10100|'+
-				'$Key '+key+'|'
-			);
-        }
-        if(cmd==='$Key'){
-        	sendontcp('$ADCGET file files.xml.bz2 0 -1 ZL1|');
-        }
-    }
-    soc.on('error',function(err){
-    	console.log(err+'');
-    });
-    });
-    soc.on('close', function(data) {
-        console.log('tcp CLOSED: ');
-    });
-    
-}).listen(60333, '192.168.118.164');
-//this.tcps.write('akdfjsdfj');
-console.log('TCP Server listening');
-	try{
-		//console.log(this.sock.localPort+'port addres s');
-		//photon DC\\setups\\remix\\md5sum.txt
-		//Prithvipc Study(rP)\\IC.pdf
-		this.raw('$ConnectToMe photon 192.168.118.164:60333|');
-	}
-	catch(ex){
- 		this.onDebug(ex+' download me prob hai');
- 	}
+
+/**
+ * Rescan the shared directories (opts.share_dirs, or anything added through
+ *  nmdc.share.addDirectory) and hash new files. $MyINFO is updated with the
+ *  new share size once done.
+ *
+ * @param {Function} cb Callback(err) on completion
+ * @return {Nmdc} Returns self for chained calls
+ */
+Nmdc.prototype.refreshShare = function(cb) {
+	this.share.refresh(cb);
+	return this;
 };
 
 /**
-* Passive downloading
-*
-*/
-Nmdc.prototype.download=function(data){
-	this.raw('$RevConnectToMe '+this.opts.nick+' sss|');
+ * Get our client ID, as advertised in our file list. Unless opts.cid is set,
+ *  it is derived from our nick so that it stays the same across restarts.
+ *
+ * @return {String} Base32 CID
+ */
+Nmdc.prototype.getCID = function() {
+	if (this.opts.cid.length) {
+		return this.opts.cid;
+	}
+	return nmdc_tth.base32(nmdc_tth.tiger(Buffer.from(this.opts.nick, 'utf8')));
+};
 
+/**
+ * Get our own file list, generating it if the share changed since the last
+ *  call.
+ *
+ * @return {Object} xml (String) and bz2 (Buffer) of the full list
+ */
+Nmdc.prototype.getOwnFileList = function() {
+	if (this.fileList === null) {
+		var xml = nmdc_filelist.generate(this.share, {
+			cid: this.getCID(),
+			generator: this.opts.tag
+		});
+		this.fileList = {
+			xml: xml,
+			bz2: nmdc_filelist.compress(xml)
+		};
+	}
+	return this.fileList;
+};
 
+/**
+ * Drop our cached file list and advertise the new share size. Called when
+ *  the share finishes refreshing.
+ *
+ * @return {Nmdc} Returns self for chained calls
+ */
+Nmdc.prototype.shareChanged = function() {
+	this.fileList = null; // regenerated on next request
+	if (this.sock !== null && this.sentOurHello) {
+		this.nmdc_sendmyinfo();
+	}
+	return this;
 };
 
 /**
- * Passive search
+ * Get what we are on this hub, as counted in the H: field of $MyINFO tags.
  *
+ * @return {String} 'op', 'registered' or 'normal'
  */
- Nmdc.prototype.passiveSearch = function(srch){
- 	try{
- 		var x= this.raw(
- 			'$Search Hub:'+this.opts.nick+' '+srch+'|'
- 			);
- 		//this.onDebug(x);
- 	}catch(ex){
- 		this.onDebug(ex+' passive');
- 	}
-
- };
-
- /**
-  *Active search
-  *
-  */
-  Nmdc.prototype.activeSearch = function(srch){
-  	try{
-  		var self=this;
-  		this.server = dgram.createSocket('udp4');
-		var address=null;
-		/*this.server.on('error', (err) => {
-		  console.log('server error: '+err.stack);
-		  server.close();
-		});*/
-		this.server.on('message', (msg, rinfo) => {
-		  console.log(msg+' ');
-		});
+Nmdc.prototype.getHubRole = function() {
+	var me = this.users[this.opts.nick];
+	if (me && me.isOp) {
+		return 'op';
+	}
+	return this.registered ? 'registered' : 'normal';
+};
 
-		this.server.on('listening', () => {
-		  address = this.server.address();
-		  console.log('server listening ${'+address.address+'}:${'+address.port+'}');
+/**
+ * Set the hub counts we advertise in $MyINFO, for clients that are on
+ *  several hubs. Until this is called only this hub is counted, according
+ *  to getHubRole().
+ *
+ * @param {Object} counts normal, registered and op hub counts
+ * @return {Nmdc} Returns self for chained calls
+ */
+Nmdc.prototype.setHubCounts = function(counts) {
+	var old = JSON.stringify(this.hubCounts);
+	this.hubCounts = {
+		normal: counts.normal || 0,
+		registered: counts.registered || 0,
+		op: counts.op || 0
+	};
+	if (old !== JSON.stringify(this.hubCounts) && this.sock !== null &&
+		this.sentOurHello) {
+		this.nmdc_sendmyinfo();
+	}
+	return this;
+};
+
+/**
+ * Get the number of upload slots currently available to other users.
+ *
+ * @return {Number} Free slots
+ */
+Nmdc.prototype.getFreeSlots = function() {
+	return this.uploads.getFreeSlots();
+};
+
+/**
+ * Download a user's file list. Lists are saved to opts.filelist_dir, if
+ *  set, so they can be reopened with getCachedFileList().
+ *
+ * @param {String} nick User whose list to fetch
+ * @return {Promise} Resolves with a FileList (see nmdc_filelist.js)
+ */
+Nmdc.prototype.getFileList = function(nick) {
+	var self = this;
+	return new Promise(function(resolve, reject) {
+		var chunks = [];
+		var timer = null;
+		var req = self.nmdc_request(nick, {
+			type: 'file',
+			ident: 'files.xml.bz2',
+			start: 0,
+			bytes: -1,
+			onData: function(chunk) {
+				chunks.push(chunk);
+			},
+			onDone: function(err) {
+				clearTimeout(timer);
+				if (err) {
+					return reject(err);
+				}
+				try {
+					resolve(self.nmdc_gotfilelist(nick, Buffer.concat(chunks)));
+				} catch (ex) {
+					reject(ex);
+				}
+			}
 		});
-		this.server.bind({
-			//address:'192.168.118.164',
-			port:57263,
-			exclusive: true
-		},function(){
-	try{
-		var s='$Search '+address.address+':'+address.port+' '+srch+'|';
-			self.raw(s);
- 			
-		}
-		catch(ex)
-		{
-			console.log('errr');
+		timer = setTimeout(function() {
+			self.nmdc_cancelrequest(req, new Error('Timed out waiting for file list of '+nick));
+		}, self.opts.filelist_timeout);
+	});
+};
+
+/**
+ * Open the most recently downloaded file list of a user from
+ *  opts.filelist_dir.
+ *
+ * @param {String} nickOrCid User nick, or the CID from their file list
+ * @return {Promise} Resolves with a FileList, or null if none is cached
+ */
+Nmdc.prototype.getCachedFileList = function(nickOrCid) {
+	var dir = this.opts.filelist_dir;
+	return new Promise(function(resolve, reject) {
+		if (! dir.length) {
+			return resolve(null);
 		}
+		fs.readdir(dir, function(err, names) {
+			if (err) {
+				return (err.code === 'ENOENT') ? resolve(null) : reject(err);
+			}
+			// Saved as <nick>.<CID>.xml.bz2, and nicks may contain dots
+			var key = encodeURIComponent(nickOrCid);
+			var matches = names.filter(function(name) {
+				var m = /^(.*)\.([A-Z0-9]+)\.xml\.bz2$/.exec(name);
+				return m !== null && (m[1] === key || m[2] === key);
+			});
+			var newest = null;
+			var next = function(i) {
+				if (i < matches.length) {
+					return fs.stat(path.join(dir, matches[i]), function(err, st) {
+						if (!err && (newest === null || st.mtime.getTime() > newest.mtime)) {
+							newest = { name: matches[i], mtime: st.mtime.getTime() };
+						}
+						next(i + 1);
+					});
+				}
+				if (newest === null) {
+					return resolve(null);
+				}
+				fs.readFile(path.join(dir, newest.name), function(err, data) {
+					if (err) {
+						return reject(err);
+					}
+					try {
+						resolve(new FileList(bunzip.decode(data).toString('utf8')));
+					} catch (ex) {
+						reject(ex);
+					}
+				});
+			};
+			next(0);
 		});
-		//console.log(this.server.address["address"]);
-		//console.log(this.server.address["port"]);
-  		
-  		//this.onDebug(x);
- 	}catch(ex){
- 		this.onDebug(ex+' activev');
- 	}
+	});
+};
 
-  	};
+/**
+ * Download a file from a user. If we are in active mode the user is asked
+ *  to connect to us ($ConnectToMe), otherwise we ask them to let us connect
+ *  ($RevConnectToMe), which only works if they are active.
+ *
+ * @param {String} nick User to download from
+ * @param {String} file Path in the user's share, or a base32 TTH root
+ * @param {String} destination Local path to save the file to
+ * @return {Promise} Resolves with the completed transfer
+ */
+Nmdc.prototype.download = function(nick, file, destination) {
+	var self = this;
+	return new Promise(function(resolve, reject) {
+		var out = null;
+		var failed = null;
+		var req = null;
+		
+		// The file is only created once the peer starts sending
+		var open = function() {
+			if (out === null) {
+				out = fs.createWriteStream(destination);
+				out.on('error', function(e) {
+					failed = e;
+					self.nmdc_cancelrequest(req, e);
+				});
+			}
+			return out;
+		};
+		
+		req = self.nmdc_request(nick, {
+			type: 'file',
+			ident: nmdc_fileident(file),
+			start: 0,
+			bytes: -1,
+			onData: function(chunk) {
+				open().write(chunk);
+			},
+			onDone: function(err, transfer) {
+				if (err && out === null) {
+					return reject(err);
+				}
+				open().end(function() {
+					if (err || failed) {
+						reject(err || failed);
+					} else {
+						resolve(transfer);
+					}
+				});
+			}
+		});
+	});
+};
+
+/**
+ * Get the operators currently on the hub.
+ *
+ * @return {Array} Operator nicks
+ */
+Nmdc.prototype.getOps = function() {
+	var users = this.users;
+	return Object.keys(users).filter(function(nick) { return users[nick].isOp; });
+};
+
+/**
+ * Check whether a user advertises passive (or SOCKS5) mode in their
+ *  $MyINFO tag.
+ *
+ * @param {String} nick User nick
+ * @return {Boolean} True if the user is known to be passive
+ */
+Nmdc.prototype.getUserIsPassive = function(nick) {
+	var user = this.users[nick];
+	return !!user && user.isPassive();
+};
+
+/**
+ * Search the hub. Results matching the query are collected on the returned
+ *  handle (see nmdc_search.js) until its window expires, and every result is
+ *  also passed to onSearchResult.
+ *
+ * @param {Object} params Search parameters: query, minSize, maxSize,
+ *  type ('any', 'audio', 'compressed', 'document', 'executable', 'picture',
+ *  'video', 'folder' or 'tth'), tth, window (milliseconds)
+ * @return {Search} Search handle
+ */
+Nmdc.prototype.search = function(params) {
+	var srch = nmdc_search.build(params);
+	var handle = new nmdc_search.Search(params,
+		('window' in params) ? params.window : this.opts.search_window);
+	
+	this.searches = this.searches.filter(function(s) { return !s.expired; });
+	this.searches.push(handle);
+	
+	if (this.opts.active) {
+		this.activeSearch(srch);
+	} else {
+		this.passiveSearch(srch);
+	}
+	return handle;
+};
+
+/**
+ * Passive search. Results are relayed by the hub.
+ *
+ * @param {String} srch Encoded search string, e.g. 'F?T?0?1?some$words'
+ * @return {Nmdc} Returns self for chained calls
+ */
+Nmdc.prototype.passiveSearch = function(srch) {
+	return this.raw('$Search Hub:'+this.opts.nick+' '+srch+'|');
+};
+
+/**
+ * Active search. Results are sent to our UDP port directly. Falls back to a
+ *  passive search if the UDP port cannot be bound.
+ *
+ * @param {String} srch Encoded search string, e.g. 'F?T?0?1?some$words'
+ * @return {Nmdc} Returns self for chained calls
+ */
+Nmdc.prototype.activeSearch = function(srch) {
+	var self = this;
+	this.nmdc_udplisten(function(err) {
+		try {
+			if (err) {
+				self.passiveSearch(srch);
+			} else {
+				self.raw(
+					'$Search '+self.nmdc_clientip()+':'+self.server.address().port+' '+
+					srch+'|'
+				);
+			}
+		} catch (ex) {
+			self.onDebug('Failed to send active search ('+ex+')');
+		}
+	});
+	return this;
+};
 
 // #################
 // Internal
@@ -477,23 +841,31 @@ Nmdc.prototype.nmdc_handle = function(data) {
 				'$ValidateNick '+this.opts.nick+'|'
 			);
 			this.sentOurHello = false;
+			this.registered = false;
+			this.nmdc_setstate(Nmdc.prototype.STATE_LOCKED);
 		} break;
 		
 		case '$Hello': {
 			if (rem === this.opts.nick && !this.sentOurHello) {
+				this.nmdc_setstate(Nmdc.prototype.STATE_VALIDATED);
 				
 				// Handshake
 				this.raw('$Version 1,0091|');
 				this.raw('$GetNickList|');
-				this.raw('$MyINFO '+nmdc_getmyinfo(this.opts)+'|');
+				this.nmdc_sendmyinfo();
 				
 				this.sentOurHello = true; // only send once per connection
+				this.nmdc_setstate(Nmdc.prototype.STATE_IDENTIFIED);
+				
+				// Not every hub sends something that clearly ends the login,
+				//  so give up waiting after a while
+				var self = this;
+				this._loginTimer = setTimeout(function() {
+					self.nmdc_loggedin();
+				}, this.opts.login_timeout);
 				
 			} else {
-				if (!(rem in this.users)) {
-					this.users[rem] = '';
-					this.onUserJoin(rem);
-				}
+				this.nmdc_adduser(rem);
 			}
 		} break;
 		
@@ -504,38 +876,51 @@ Nmdc.prototype.nmdc_handle = function(data) {
 		
 		case '$ValidateDenide': {
 			if (this.opts.password.length) {
-				this.onSystem('Password incorrect.');
+				this.fatalError = 'Password incorrect.';
 			} else {
-				console.log('Nick already in use.');
+				this.fatalError = 'Nick already in use.';
 			}
+			this.onSystem(this.fatalError);
 		} break;
 		
 		case '$HubIsFull': {
+			// Only for now; the hub closes the connection and we back off
 			this.onSystem('Hub is full.');
 		} break;
 		
 		case '$BadPass': {
-			this.onSystem('Password incorrect.');
+			this.fatalError = 'Password incorrect.';
+			this.onSystem(this.fatalError);
 		} break;
 		
 		case '$GetPass': {
+			this.registered = true;
 			this.raw('$MyPass '+this.opts.password+'|');
 		} break;
 		
 		case '$Quit': {
+			var wasOp = (rem in this.users) && this.users[rem].isOp;
 			delete this.users[rem];
 			this.onUserPart(rem);
+			if (wasOp) {
+				this.onOpListChange(this.getOps());
+			}
 		} break;
 		
 		case '$MyINFO': {
-			var user = nmdc_parsemyinfo(rem);
-			var nick = user.nick;
-			if (!(nick in this.users)) {
-				this.users[nick] = '';
-				this.onUserJoin(nick);
+			var info = nmdc_user.parse(rem);
+			if (info === null) {
+				this.onDebug("Malformed $MyINFO '" + rem + "'");
+				break;
+			}
+			var user = this.nmdc_adduser(info.nick);
+			var changed = user.update(info);
+			if (changed.length) {
+				this.onUserUpdate(user, changed);
+			}
+			if (info.nick === this.opts.nick && this.sentOurHello) {
+				this.nmdc_loggedin();
 			}
-			this.users[nick] = user;
-			this.onUserUpdate(rem);
 		} break;
 		
 		case '$NickList': {
@@ -543,10 +928,10 @@ Nmdc.prototype.nmdc_handle = function(data) {
 			for (var i in users) {
 				var user = users[i];
 				if (! user.length) continue;
-				if (!(user in this.users)) {
-					this.users[user] = '';
-					this.onUserJoin(user);
-				}
+				this.nmdc_adduser(user);
+			}
+			if (this.sentOurHello) {
+				this.nmdc_loggedin(); // the list is sent in one go
 			}
 		} break;
 		
@@ -556,26 +941,37 @@ Nmdc.prototype.nmdc_handle = function(data) {
 			this.onPrivate(pto[0], nmdc_unescape(pto[1]));
 		} break;
 
-		case '$Search':{
-			//this.onSystem(rem);
-			//this.raw('$SR');
-
-		}break;
-
-		case '$SR':{
-			rem=rem.split(' ');
-			//this.onSystem(rem[0]);
+		case '$Search': {
+			this.nmdc_handle_search(rem);
+		} break;
 
-		}break;
+		case '$SR': {
+			var result = nmdc_parsesr(rem);
+			if (result !== null) {
+				for (var i = 0; i < this.searches.length; i++) {
+					if (!this.searches[i].expired && this.searches[i].matches(result)) {
+						this.searches[i].addResult(result);
+					}
+				}
+				this.onSearchResult(result);
+			} else {
+				this.onDebug("Malformed search result '" + rem + "'");
+			}
+		} break;
 		
 		case '$UserIP': {
-			// Final message in PtokaX connection handshake - trigger connection
-			//  callback. This might not always be the case for other hubsofts?
-					
-			if (! this.nmdc_connected) {
-				this.onConnect(); // Only call once per connection
+			// $UserIP <nick> <ip>$$<nick> <ip>$$...
+			var pairs = rem.split('$$');
+			for (var i in pairs) {
+				var sp = pairs[i].indexOf(' ');
+				if (sp === -1) continue;
+				this.nmdc_setuser(pairs[i].substr(0, sp), 'ip', pairs[i].substr(sp+1));
+			}
+
+			// Final message in PtokaX connection handshake
+			if (this.sentOurHello) {
+				this.nmdc_loggedin();
 			}
-			this.nmdc_connected = true;			
 		} break;
 		
 		case '$UserCommand': {
@@ -586,115 +982,80 @@ Nmdc.prototype.nmdc_handle = function(data) {
 		} break;
 		
 		case '$ForceMove': {
-			if (this.opts.follow_redirects) {
-				
-				this.onSystem("Redirecting hub...");
-				
-				// n.b. doesn't support protocol prefix e.g. (nmdc|dchub):// part
-				var split = rem.split(':');
-				if (split.length === 2) {
-					this.opts.address = split[0];
-					this.opts.port = split[1];
-				} else {
-					this.opts.address = rem;
-					this.opts.port = 411;
-				}
-				
+			var target = nmdc_parsehub(rem);
+			if (! this.opts.follow_redirects) {
+				this.onDebug("Ignoring redirect request for '" + rem + "'");
+			} else if (target === null) {
+				this.onSystem("Ignoring redirect to invalid address '" + rem + "'");
+			} else if (target.address === this.opts.address && target.port === +this.opts.port) {
+				this.onDebug("Ignoring redirect to the same hub");
+			} else if (this._redirects >= NMDC_JS_MAX_REDIRECTS) {
+				this.onSystem("Ignoring redirect to '" + target.url + "' (too many redirects)");
+			} else if (this.onRedirect(target) === false) {
+				this.onDebug("Redirect to '" + target.url + "' vetoed");
+			} else {
+				this.onSystem("Redirecting to " + target.url + "...");
+				this._redirects++;
+				this._redirect = target;
 				this.reconnect();
-				
+			}
+		} break;
+		case '$RevConnectToMe': {
+			// $RevConnectToMe <requester> <ournick>
+			var requester = rem.split(' ')[0];
+			if (this.opts.active) {
+				this.nmdc_connecttome(requester);
 			} else {
-				this.onDebug("Ignoring redirect request for '" + rem + "'");
+				this.onSystem(
+					requester+' wants to download from us, but both of us are in '+
+					'passive mode.'
+				);
 			}
 		} break;
-		case '$MyNick':{
-			
+		
+		case '$ConnectToMe': {
+			// $ConnectToMe <ournick> <ip>:<port>
+			var target = /^(.+):(\d{1,5})$/.exec(rem.substr(rem.lastIndexOf(' ')+1));
+			if (target === null || +target[2] < 1 || +target[2] > 65535) {
+				this.onDebug('Ignoring malformed $ConnectToMe "'+rem+'"');
+				break;
+			}
+			this.nmdc_addpeer(net.connect({
+				host: target[1],
+				port: +target[2]
+			}), false);
+		} break;
 
-		}break;
-		case '$ConnectToMe':{
-			var s='';
-			var inx=0;var flag=0;
-			console.log(cmd+' '+rem+'');
-			var port=parseInt(rem.split(':')[1],10);
-			var address=(rem.split(' ')[1]).split(':')[0]+'';
-			//console.log(address1+port);
-			var self =this;
-			var sendtcp=function(data)
-			{
-				console.log('SENDING(tcp): '+data+'');
-				self.tcps.write(data);
-			};
-			this.tcps=net.connect({port: port,host: address}, function() {
-			   console.log('connected to client via tcp-server!');  
-			});
-			/*this.tcps.on('data', function(data) {
-			   console.log(data+'');
-			   client.end();
-			});*/
-			sendtcp('$MyNick '+this.opts.nick+'|');
-			this.tcps.on('data', function(data) {
-				
-    		console.log(data.toString());
-        		data=data+'';
-        		s+=data;
-        		if(flag==1){
-        		if(s.substr(0,7)==='$ADCSND')
-        			//console.log(s.substr(0,7));
-        		//console.log(data);
-        				s=s.substr(40);
-        		//fs.writeFileSync("files.xml",(bunzip.decode(s)));
-        			console.log(bunzip.decode(s).toString());}   
-        		//console.log('DATA : ' + data);
-        		var comm = data.split('|');
-        		//if(inx===2)
-        		{
-        		//console.log('CHECK THIS OUT  '+inx+':  '+comm[1].toString());
-        		inx++;
-        	}
-        		for(var i in comm)
-        		{
-        			//console.log(comm[i]);
-        			var cmd = comm[i].split(' ')[0];
-					var rem = comm[i].substr(cmd.length + 1);
-        			//var splitted = comm[i].split(' ');
-        			//console.log(cmd); 
-        			//console.log(rem);
-        			/*if(cmd==='$MyNick')
-        			sendtcp('$MyNick '+self.opts.nick+'|');*/
-        			//for(var i=0;i<10;i++)
-        				//console.log(data[0]+'');
-        			if(cmd==='$Lock')
-        			{
-        				var key = nmdc_locktokey(rem);
-    					console.log('KEY: '+key);
-						sendtcp('$Lock '+rem+'|'+'$Supports MiniSlots XmlBZList ADCGet TTHL TTHF ZLIG|'+
-						'$Direction Download 10100|'+
-						'$Key '+key+'|');
-        			}
-        			if(cmd==='$Key'){
-        				sendtcp('$ADCGET file files.xml.bz2 0 -1 ZL1|');
-        				s='';flag=1;
-        				/*for(var i=0;i<10000000;i++)
-        					{var x=2;}*/
-        				//sendtcp('$ADCGET file Study(rP)\\IC.pdf 0 -1 ZL1|');
-        			}
-        			if(cmd==='$ADCSEND')
-        			{
-        				console.log(cmd+' '+rem);
-        			}
-    			}
-    		});
-			this.tcps.on('end', function() { 
-			   console.log('disconnected from server');
-			});
-			this.tcps.on('error',function(err){
-				console.log(err+'');
-			});
-		}break;
+		case '$OpList': {
+			// Hubs send the full list on login, and single ops as they join
+			var ops = rem.split('$$');
+			var changed = false;
+			for (var i in ops) {
+				if (ops[i].length && this.nmdc_setuser(ops[i], 'isOp', true)) {
+					changed = true;
+				}
+			}
+			if (changed) {
+				this.onOpListChange(this.getOps());
+				if (ops.indexOf(this.opts.nick) !== -1 && this.hubCounts === null &&
+					this.sentOurHello) {
+					this.nmdc_sendmyinfo(); // we count as an op hub now
+				}
+			}
+		} break;
+
+		case '$BotList': {
+			var bots = rem.split('$$');
+			for (var i in bots) {
+				if (bots[i].length) {
+					this.nmdc_setuser(bots[i], 'isBot', true);
+				}
+			}
+		} break;
 
 		// Ignorable:
 		case '$Supports':
 		case '$UserList':
-		case '$OpList':
 		case '$HubTopic':
 		
 		{ break; }
@@ -707,6 +1068,430 @@ Nmdc.prototype.nmdc_handle = function(data) {
 	return this;
 };
 
+Nmdc.prototype.nmdc_lost = function() {
+	// The connection went away without us asking for it
+	this.disconnect();
+	this.nmdc_schedulereconnect();
+	return this;
+};
+
+Nmdc.prototype.nmdc_schedulereconnect = function() {
+	var self = this;
+	if (!this.opts.auto_reconnect || this._reconnector !== false) {
+		return this;
+	}
+	if (this.fatalError.length) {
+		this.onSystem('Not reconnecting ('+this.fatalError+')');
+		return this;
+	}
+
+	// Exponential backoff with jitter, so a hub coming back up isn't hit by
+	//  all its users at once
+	this.reconnectAttempts++;
+	var delay = Math.min(
+		NMDC_JS_RECONNECT_MAX,
+		NMDC_JS_RECONNECT_MIN * Math.pow(2, this.reconnectAttempts - 1)
+	) * (0.5 + Math.random()*0.5);
+	this.nextReconnect = Date.now() + Math.round(delay);
+	this.onDebug('Reconnecting in '+Math.round(delay/1000)+' seconds...');
+	this._reconnector = setTimeout(function() {
+		self._reconnector = false;
+		self.reconnect();
+	}, delay);
+	return this;
+};
+
+Nmdc.prototype.nmdc_checkhealth = function() {
+	var now = Date.now();
+	if (this.sock === null) {
+		return this;
+	}
+	// Nothing from the hub for too long means a half-open connection, which
+	//  keepalive writes alone may not reveal for a long time. Logins get a
+	//  shorter limit, as the hub has plenty to send us then.
+	var stall = (this.state === Nmdc.prototype.STATE_LOGGED_IN) ?
+		this.opts.stall_timeout : this.opts.login_stall_timeout;
+	if (stall && now - this._lastReceived > stall) {
+		this.onSystem('Connection stalled.');
+		return this.nmdc_lost();
+	}
+	// An empty command keeps NAT and firewall state alive, and makes a dead
+	//  connection fail on write
+	if (this.sentOurHello && now - this._lastSent > this.opts.keepalive_interval) {
+		this.raw('|');
+	}
+	return this;
+};
+
+Nmdc.prototype.nmdc_setstate = function(state) {
+	if (this.state !== state) {
+		this.state = state;
+		this.onStateChange(state);
+	}
+	return this;
+};
+
+Nmdc.prototype.nmdc_loggedin = function() {
+	// Whichever of our own $MyINFO, the $NickList, $UserIP or the login
+	//  timeout comes first
+	clearTimeout(this._loginTimer);
+	this._loginTimer = false;
+	if (this.nmdc_connected) {
+		return this;
+	}
+	this.nmdc_connected = true;
+	this._redirects = 0;
+	this.reconnectAttempts = 0;
+	this.nmdc_setstate(Nmdc.prototype.STATE_LOGGED_IN);
+	this.onConnect(); // Only call once per connection
+	return this;
+};
+
+Nmdc.prototype.nmdc_adduser = function(nick) {
+	if (!(nick in this.users)) {
+		this.users[nick] = new User(nick);
+		this.onUserJoin(nick);
+	}
+	return this.users[nick];
+};
+
+Nmdc.prototype.nmdc_setuser = function(nick, field, value) {
+	// Set one field on a user, firing onUserUpdate if it changed
+	var user = this.nmdc_adduser(nick);
+	if (user[field] === value) {
+		return false;
+	}
+	user[field] = value;
+	this.onUserUpdate(user, [field]);
+	return true;
+};
+
+Nmdc.prototype.nmdc_sendmyinfo = function() {
+	var counts = this.hubCounts;
+	if (counts === null) {
+		counts = { normal: 0, registered: 0, op: 0 };
+		counts[this.getHubRole()] = 1;
+	}
+	return this.raw(
+		'$MyINFO '+nmdc_getmyinfo(this.opts, this.share.getSize(), counts)+'|'
+	);
+};
+
+Nmdc.prototype.nmdc_handle_search = function(rem) {
+	var self = this;
+	var params = nmdc_search.parse(rem);
+	if (params === null) {
+		this.onDebug("Malformed search '" + rem + "'");
+		return this;
+	}
+	
+	// Don't answer our own searches
+	if (params.passive) {
+		if (params.source === 'Hub:'+this.opts.nick) {
+			return this;
+		}
+	} else if (this.server !== null && this.server.nmdc_bound &&
+		params.source === this.nmdc_clientip()+':'+this.server.address().port) {
+		return this;
+	}
+	
+	var entries = this.share.search(params, params.passive ? 5 : 10);
+	if (! entries.length) {
+		return this;
+	}
+	
+	var hub = {
+		name: this.hubName,
+		address: this.sock.remoteAddress+':'+this.sock.remotePort
+	};
+	var results = entries.map(function(entry) {
+		return nmdc_buildsr(self.opts.nick, entry, self.getFreeSlots(),
+			self.opts.slots, hub);
+	});
+	
+	if (params.passive) {
+		var target = params.source.substr(4);
+		this.raw(results.map(function(r) {
+			return r+'\x05'+target+'|';
+		}).join(''));
+		
+	} else {
+		var split = params.source.lastIndexOf(':');
+		var address = params.source.substr(0, split);
+		var port = +params.source.substr(split+1);
+		var udp = (this.server !== null) ? this.server : dgram.createSocket('udp4');
+		
+		var pending = results.length;
+		results.forEach(function(r) {
+			self.onDebug("SENDING(udp): " + r);
+			udp.send(Buffer.from(r+'|', self.opts.encoding), port, address, function(e) {
+				if (e) {
+					self.onDebug('Failed to send search result ('+e.code+')');
+				}
+				if (--pending === 0 && udp !== self.server) {
+					udp.close();
+				}
+			});
+		});
+	}
+	
+	return this;
+};
+
+Nmdc.prototype.nmdc_tcplisten = function(cb) {
+	var self = this;
+	
+	if (this.tcps !== null) {
+		if (this.tcps.listening) {
+			cb();
+		} else {
+			this.tcps.once('listening', cb);
+		}
+		return this;
+	}
+	
+	this.tcps = net.createServer(function(sock) {
+		self.nmdc_addpeer(sock, true);
+	});
+	this.tcps.on('error', function(e) {
+		self.onSystem('Client listener error ('+e.code+')');
+		self.tcps.close();
+		self.tcps = null;
+	});
+	this.tcps.listen(this.opts.tcp_port, function() {
+		self.onDebug('TCP listening on port '+self.tcps.address().port);
+		cb();
+	});
+	
+	return this;
+};
+
+Nmdc.prototype.nmdc_addpeer = function(sock, incoming) {
+	var peer = new PeerConnection(this, sock, incoming);
+	this.peers.push(peer);
+	return peer;
+};
+
+Nmdc.prototype.nmdc_peerclosed = function(peer) {
+	var idx = this.peers.indexOf(peer);
+	if (idx !== -1) {
+		this.peers.splice(idx, 1);
+	}
+	
+	if (! peer.nick.length) {
+		return this;
+	}
+	delete this.peerConnecting[peer.nick];
+	if (this.peers.some(function(p) { return p.nick === peer.nick; })) {
+		return this;
+	}
+	
+	// Requests that were waiting on a download connection can't be served
+	//  now. If the peer took the upload side instead, ask again.
+	if (peer.direction === 'download') {
+		var self = this;
+		(this.peerRequests[peer.nick] || []).slice().forEach(function(req) {
+			self.nmdc_cancelrequest(req, peer.error ||
+				new Error('Connection to '+peer.nick+' closed'));
+		});
+	} else if (this.nmdc_haverequests(peer.nick)) {
+		this.nmdc_connectpeer(peer.nick);
+	}
+	return this;
+};
+
+Nmdc.prototype.nmdc_request = function(nick, req) {
+	// Queue a download from nick, connecting to them if needed. The peer
+	//  connection picks requests up in order once it is established.
+	req.nick = nick;
+	if (!this.opts.active && this.getUserIsPassive(nick)) {
+		setImmediate(function() {
+			req.onDone(new Error(
+				'Cannot download from '+nick+': both of us are in passive mode'
+			), req);
+		});
+		return req;
+	}
+
+	if (!(nick in this.peerRequests)) {
+		this.peerRequests[nick] = [];
+	}
+	this.peerRequests[nick].push(req);
+	
+	var idle = this.peers.filter(function(p) {
+		return p.nick === nick && p.direction === 'download' && p.state === 'idle';
+	});
+	if (idle.length) {
+		idle[0].next();
+	} else if (!this.peers.some(function(p) { return p.nick === nick && p.direction === 'download'; })) {
+		this.nmdc_connectpeer(nick);
+	}
+	return req;
+};
+
+Nmdc.prototype.nmdc_haverequests = function(nick) {
+	return (nick in this.peerRequests) && this.peerRequests[nick].length > 0;
+};
+
+Nmdc.prototype.nmdc_takerequest = function(nick) {
+	if (! this.nmdc_haverequests(nick)) {
+		return null;
+	}
+	var req = this.peerRequests[nick].shift();
+	if (! this.peerRequests[nick].length) {
+		delete this.peerRequests[nick];
+	}
+	return req;
+};
+
+Nmdc.prototype.nmdc_cancelrequest = function(req, err) {
+	var queue = this.peerRequests[req.nick] || [];
+	var idx = queue.indexOf(req);
+	if (idx !== -1) {
+		queue.splice(idx, 1);
+		if (! queue.length) {
+			delete this.peerRequests[req.nick];
+		}
+		req.onDone(err, req);
+		return this;
+	}
+	
+	// Already in progress
+	this.peers.forEach(function(p) {
+		if (p.transfer === req) {
+			p.close(err);
+		}
+	});
+	return this;
+};
+
+Nmdc.prototype.nmdc_connectpeer = function(nick) {
+	var now = Date.now();
+	if (this.peerConnecting[nick] && now - this.peerConnecting[nick] < 10*1000) {
+		return this; // already asked recently
+	}
+	this.peerConnecting[nick] = now;
+	
+	if (this.opts.active) {
+		this.nmdc_connecttome(nick);
+	} else {
+		try {
+			this.raw('$RevConnectToMe '+this.opts.nick+' '+nick+'|');
+		} catch (ex) {
+			this.onDebug('Failed to connect to '+nick+' ('+ex+')');
+		}
+	}
+	return this;
+};
+
+Nmdc.prototype.nmdc_connecttome = function(nick) {
+	var self = this;
+	this.nmdc_tcplisten(function() {
+		try {
+			self.raw(
+				'$ConnectToMe '+nick+' '+self.nmdc_clientip()+':'+
+				self.tcps.address().port+'|'
+			);
+		} catch (ex) {
+			self.onDebug('Failed to send $ConnectToMe ('+ex+')');
+		}
+	});
+	return this;
+};
+
+Nmdc.prototype.nmdc_gotfilelist = function(nick, bz2) {
+	var self = this;
+	var list = new FileList(bunzip.decode(bz2).toString('utf8'));
+	
+	if (this.opts.filelist_dir.length) {
+		// The CID comes from the peer; anything but base32 could leave the
+		//  directory
+		var cid = /^[A-Z2-7]+$/.test(list.cid) ? list.cid : 'NOCID';
+		var name = encodeURIComponent(nick)+'.'+cid+'.xml.bz2';
+		fs.writeFile(path.join(this.opts.filelist_dir, name), bz2, function(err) {
+			if (err) {
+				self.onDebug('Failed to cache file list ('+err.message+')');
+			}
+		});
+	}
+	return list;
+};
+
+Nmdc.prototype.nmdc_locktokey = function(lock) {
+	return nmdc_locktokey(lock);
+};
+
+Nmdc.prototype.nmdc_udplisten = function(cb) {
+	// cb(err) once the port is bound, or with the error if it cannot be
+	var self = this;
+	
+	if (this.server !== null) {
+		if (this.server.nmdc_bound) {
+			cb(null);
+		} else {
+			this.server.nmdc_waiting.push(cb);
+		}
+		return this;
+	}
+	
+	var server = this.server = dgram.createSocket('udp4');
+	server.nmdc_bound = false;
+	server.nmdc_waiting = [cb];
+	
+	var ready = function(err) {
+		var waiting = server.nmdc_waiting;
+		server.nmdc_waiting = [];
+		waiting.forEach(function(fn) {
+			fn(err);
+		});
+	};
+	
+	server.on('message', function(msg, rinfo) {
+		self.nmdc_handle_udp(msg.toString(self.opts.encoding));
+	});
+	
+	server.on('error', function(e) {
+		self.onSystem('UDP error ('+e.code+')');
+		server.close();
+		if (self.server === server) {
+			self.server = null;
+		}
+		ready(e);
+	});
+	
+	server.bind({
+		port: this.opts.udp_port,
+		exclusive: true
+	}, function() {
+		server.nmdc_bound = true;
+		self.onDebug('UDP listening on port '+server.address().port);
+		ready(null);
+	});
+	
+	return this;
+};
+
+Nmdc.prototype.nmdc_clientip = function() {
+	// The address other users should reach us on
+	return this.opts.clientIP || this.sock.localAddress;
+};
+
+Nmdc.prototype.nmdc_handle_udp = function(data) {
+	
+	// Active search results arrive over UDP, one or more '|'-terminated $SR
+	//  commands per datagram
+	var commands = data.split('|');
+	for (var i in commands) {
+		if (commands[i].substr(0, 4) === '$SR ') {
+			this.nmdc_handle(commands[i]);
+		} else if (commands[i].length) {
+			this.onDebug('UDP: Unhandled "'+commands[i]+'"');
+		}
+	}
+	
+	return this;
+};
+
 // #################
 // Exports
 // #################
@@ -718,9 +1503,11 @@ exports.Nmdc = Nmdc; // Export constructor
 // #################
 
 
-var nmdc_getmyinfo = function(o) {
+var nmdc_getmyinfo = function(o, share, counts) {
 	return "$ALL "+o.nick+" "+(o.desc.length ? (o.desc+" "):"")+
-		"<"+o.tag+",M:"+((o.active===true)?"A":"P")+",H:1/0/0,S:5>$ $10  $$"+o.share+"$|";
+		"<"+o.tag+",M:"+((o.active===true)?"A":"P")+
+		",H:"+counts.normal+"/"+counts.registered+"/"+counts.op+
+		",S:"+o.slots+">$ $10\x01$$"+share+"$";
 };
 
 var nmdc_locktokey = function(lock) {
@@ -755,21 +1542,33 @@ var nmdc_unescape = function(str) {
 		replace(/&#124;/g,'|').replace(/&amp;/g,'&');
 };
 
-var nmdc_parsemyinfo = function(str) {
-	// $ALL <nick> <description>$ $<connection><flag>$<e-mail>$<sharesize>$
-	var ds = str.indexOf(' ', 6);
-	var ret = {
-		'nick' : str.substr(5, ds-5),
-		'desc' : str.substr(ds+1, str.indexOf('$', 2)-ds),
-		'tag'  : '',
-		'share': str.substr(str.lastIndexOf('$', str.length-2)).slice(1, -1)
+var nmdc_parsehub = function(str) {
+	// [dchub://|nmdc://|nmdcs://]host[:port], with IPv6 hosts in brackets
+	var m = (''+str).trim().match(
+		/^(?:(dchub|nmdcs?):\/\/)?(\[[0-9a-fA-F:.]+\]|[^\s\/:\[\]]+)(?::(\d+))?\/?$/i
+	);
+	if (m === null) {
+		return null;
+	}
+	var scheme = (m[1] || 'dchub').toLowerCase();
+	var port = m[3] ? +m[3] : 411;
+	if (port < 1 || port > 65535) {
+		return null;
+	}
+	return {
+		url: scheme+'://'+m[2]+':'+port,
+		address: m[2].replace(/^\[|\]$/g, ''),
+		port: port,
+		tls: (scheme === 'nmdcs')
 	};
-	var tpos = ret.desc.indexOf('<');
-	if (tpos !== -1) {
-		ret.tag  = ret.desc.substr(tpos+1).slice(0,-2);
-		ret.desc = ret.desc.substr(0, tpos-1);
+};
+
+var nmdc_fileident = function(file) {
+	// $ADCGET identifier for a TTH root or a share path
+	if (/^[A-Z2-7]{39}$/.test(file)) {
+		return 'TTH/'+file;
 	}
-	return ret;
+	return '/'+file.split(/[\\\/]/).filter(function(p) { return p.length; }).join('/');
 };
 
 var nmdc_parseto = function(str) {
@@ -778,3 +1577,83 @@ var nmdc_parseto = function(str) {
 	var rpos = str.indexOf('> ');
 	return [ str.slice(lpos+2, rpos), str.slice(rpos+2) ];
 };
+
+var nmdc_buildsr = function(nick, entry, free, total, hub) {
+	// Inverse of nmdc_parsesr, for one of our shared entries
+	var ret = '$SR '+nick+' '+entry.path;
+	if (! entry.isDir) {
+		ret += '\x05'+entry.size;
+	}
+	ret += ' '+free+'/'+total+'\x05';
+	ret += (!entry.isDir && entry.tth.length) ? ('TTH:'+entry.tth) : hub.name;
+	return ret+' ('+hub.address+')';
+};
+
+var nmdc_parsesr = function(str) {
+	// File:      <nick> <path>\x05<size> <free>/<total>\x05<hub>\x20(<ip:port>)
+	// Directory: <nick> <path> <free>/<total>\x05<hub>\x20(<ip:port>)
+	// Passive results are followed by \x05<target>, and <hub> is TTH:<root>
+	//  for files from TTH-aware clients.
+	var npos = str.indexOf(' ');
+	if (npos === -1) {
+		return null;
+	}
+	var parts = str.substr(npos+1).split('\x05');
+	if (parts.length < 2) {
+		return null;
+	}
+	
+	var ret = {
+		'nick'      : str.substr(0, npos),
+		'type'      : 'file',
+		'path'      : '',
+		'name'      : '',
+		'size'      : 0,
+		'freeSlots' : 0,
+		'totalSlots': 0,
+		'tth'       : '',
+		'hubName'   : '',
+		'hubAddress': '',
+		'target'    : ''
+	};
+	
+	var slots;
+	var sizeslots = (parts.length > 2) ? parts[1].match(/^(\d+) (\d+\/\d+)$/) : null;
+	if (sizeslots !== null) {
+		ret.path = parts[0];
+		ret.size = +sizeslots[1];
+		slots = sizeslots[2];
+		parts.splice(0, 2);
+	} else {
+		var spos = parts[0].lastIndexOf(' ');
+		ret.type = 'directory';
+		ret.path = parts[0].substr(0, spos);
+		slots = parts[0].substr(spos+1);
+		parts.splice(0, 1);
+	}
+	
+	slots = slots.match(/^(\d+)\/(\d+)$/);
+	if (slots === null) {
+		return null;
+	}
+	ret.freeSlots = +slots[1];
+	ret.totalSlots = +slots[2];
+	
+	var hub = parts[0].match(/^(.*) \(([^)]*)\)$/);
+	if (hub === null) {
+		return null;
+	}
+	if (hub[1].substr(0, 4) === 'TTH:') {
+		ret.tth = hub[1].substr(4);
+	} else {
+		ret.hubName = hub[1];
+	}
+	ret.hubAddress = hub[2];
+	if (parts.length > 1) {
+		ret.target = parts[1];
+	}
+	
+	var path = ret.path.replace(/\\$/, '');
+	ret.name = path.substr(path.lastIndexOf('\\')+1);
+	return ret;
+};
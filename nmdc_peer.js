@@ -0,0 +1,557 @@
+/* _  ___  _| _    * _
+  | )[ | )(_](_ *  |_)       Copyright (c) 2012-2016 -- the nmdc.js authors
+                 ._|
+Permission to use, copy, modify, and/or distribute this software for any
+  purpose with or without fee is hereby granted, provided that the above
+  copyright notice and this permission notice appear in all copies.
+*/
+
+"use strict";
+var zlib = require('zlib');
+
+var NMDC_JS_PEER_HANDSHAKE_TIMEOUT = 30*1000;
+var NMDC_JS_PEER_IDLE_TIMEOUT = 60*1000;
+
+var PEER_LOCK = 'EXTENDEDPROTOCOLABCABCABCABCABCABC Pk=nmdcjs';
+var PEER_SUPPORTS = 'MiniSlots XmlBZList ADCGet TTHL TTHF ZLIG';
+
+// Not worth compressing again
+var PEER_COMPRESSED = /\.(bz2|gz|xz|zip|rar|7z|jpe?g|png|gif|mp3|ogg|flac|aac|mp4|mkv|avi|webm)$/i;
+
+/**
+ * Constructor for a client-client connection to one peer. The owning Nmdc
+ *  instance tracks these in nmdc.peers, hands out the requests queued for
+ *  the peer's nick, and is told about progress through its onPeerConnected,
+ *  onTransferProgress, onTransferComplete and onPeerError handlers.
+ *
+ * @class PeerConnection
+ * @constructor
+ * @param {Nmdc} nmdc Owning hub connection
+ * @param {net.Socket} sock Connected (or connecting) socket
+ * @param {Boolean} incoming True if the peer connected to us
+ */
+function PeerConnection(nmdc, sock, incoming) {
+	var self = this;
+
+	this.nmdc = nmdc;
+	this.sock = sock;
+	this.incoming = !!incoming;
+
+	this.nick = '';
+	this.supports = [];
+	this.state = 'handshake';
+	this.direction = ''; // 'download' or 'upload' once negotiated
+	this.ourDirection = '';
+	this.ourNumber = Math.floor(Math.random()*32768);
+	this.theirDirection = '';
+	this.theirNumber = -1;
+
+	this.transfer = null;
+	this.slot = false; // holding a normal upload slot
+	this.pendingGet = null; // upload waiting for $Send
+	this.buf = Buffer.alloc(0);
+	this.recvLeft = 0;
+	this.inflater = null;
+	this.inflateCheck = 1; // adler32 of what was inflated so far
+	this.inflateTail = null; // last compressed bytes, null once all are in
+	this.error = null;
+	this._idleTimer = null;
+
+	sock.setTimeout(NMDC_JS_PEER_HANDSHAKE_TIMEOUT);
+
+	sock.on('connect', function() {
+		self.send('$MyNick '+self.nmdc.opts.nick+'|$Lock '+PEER_LOCK+'|');
+	});
+
+	sock.on('data', function(data) {
+		self.peer_data(data);
+	});
+
+	sock.on('timeout', function() {
+		self.close(new Error('Connection timed out'));
+	});
+
+	sock.on('error', function(e) {
+		self.close(e);
+	});
+
+	sock.on('close', function() {
+		self.peer_closed();
+	});
+}
+
+/**
+ * Send a raw protocol message to the peer.
+ *
+ * @param {String} raw Raw data to send, including trailing pipe
+ * @return {PeerConnection} Returns self for chained calls
+ */
+PeerConnection.prototype.send = function(raw) {
+	this.nmdc.onDebug('SENDING(tcp '+(this.nick || '?')+'): '+raw);
+	this.sock.write(raw, this.nmdc.opts.encoding);
+	return this;
+};
+
+/**
+ * Close the connection. Any transfer in progress fails with err.
+ *
+ * @param {Error} err Reason for closing, or nothing for a normal close
+ * @return {PeerConnection} Returns self for chained calls
+ */
+PeerConnection.prototype.close = function(err) {
+	if (err && this.error === null) {
+		this.error = err;
+		this.nmdc.onPeerError(this, err);
+	}
+	this.sock.destroy();
+	return this;
+};
+
+/**
+ * Check whether the peer advertised a feature in $Supports.
+ *
+ * @param {String} feature e.g. 'ADCGet'
+ * @return {Boolean} True if supported
+ */
+PeerConnection.prototype.hasSupport = function(feature) {
+	return this.supports.indexOf(feature) !== -1;
+};
+
+/**
+ * Start the next queued download for this peer, if we are the downloading
+ *  side and nothing is in progress.
+ *
+ * @return {PeerConnection} Returns self for chained calls
+ */
+PeerConnection.prototype.next = function() {
+	if (this.state !== 'idle' || this.direction !== 'download') {
+		return this;
+	}
+	clearTimeout(this._idleTimer);
+
+	var req = this.nmdc.nmdc_takerequest(this.nick);
+	if (req === null) {
+		// Hand the connection back if the peer was waiting for its own turn
+		//  to download, otherwise keep it around for a while
+		if (this.theirDirection === 'Download') {
+			return this.close();
+		}
+		var self = this;
+		this._idleTimer = setTimeout(function() {
+			self.close();
+		}, NMDC_JS_PEER_IDLE_TIMEOUT);
+		return this;
+	}
+
+	req.nick = this.nick;
+	req.direction = 'download';
+	req.received = 0;
+	req.wire = 0;
+	req.compressed = false;
+	req.size = -1;
+	this.transfer = req;
+	this.state = 'requesting';
+
+	var zl = this.hasSupport('ZLIG') && req.type !== 'tthl' && !PEER_COMPRESSED.test(req.ident);
+	this.send(
+		'$ADCGET '+req.type+' '+peer_escape_adc(req.ident)+' '+req.start+' '+
+		req.bytes+(zl ? ' ZL1' : '')+'|'
+	);
+	return this;
+};
+
+// #################
+// Internal
+// #################
+
+PeerConnection.prototype.peer_data = function(data) {
+	this.buf = this.buf.length ? Buffer.concat([this.buf, data]) : data;
+
+	while (this.buf.length && this.state !== 'closed') {
+
+		// Compressed data following $ADCSND ... ZL1. Nothing else comes
+		//  until we ask for it, so all of it goes to the inflater.
+		if (this.state === 'receiving' && this.inflateTail !== null) {
+			this.transfer.wire += this.buf.length;
+			this.nmdc.stats.downloadedWire += this.buf.length;
+			this.inflateTail = Buffer.concat([this.inflateTail, this.buf]).slice(-4);
+			this.inflater.write(this.buf);
+			this.buf = Buffer.alloc(0);
+			this.peer_inflated();
+			break;
+		}
+		if (this.state === 'receiving' && this.inflater !== null) {
+			break; // nothing should come before the inflater ends
+		}
+
+		// Binary data following $ADCSND
+		if (this.state === 'receiving') {
+			var take = Math.min(this.recvLeft, this.buf.length);
+			var chunk = this.buf.slice(0, take);
+			this.buf = this.buf.slice(take);
+			this.transfer.wire += take;
+			this.nmdc.stats.downloadedWire += take;
+			this.recvLeft -= take;
+			this.peer_received(chunk);
+			continue;
+		}
+
+		var idx = this.buf.indexOf(0x7C); // '|'
+		if (idx === -1) {
+			break;
+		}
+		var raw = this.buf.slice(0, idx);
+		this.buf = this.buf.slice(idx + 1);
+		if (raw.length) {
+			this.peer_handle(raw.toString(this.nmdc.opts.encoding), raw);
+		}
+	}
+};
+
+PeerConnection.prototype.peer_handle = function(data, raw) {
+	this.nmdc.onDebug('C-C '+(this.nick || '?')+': '+data);
+
+	var cmd = data.split(' ')[0];
+	var rem = data.substr(cmd.length + 1);
+	switch (cmd) {
+
+		case '$MyNick': {
+			this.nick = rem;
+			if (this.incoming) {
+				this.send('$MyNick '+this.nmdc.opts.nick+'|$Lock '+PEER_LOCK+'|');
+			}
+		} break;
+
+		case '$Lock': {
+			this.ourDirection = this.nmdc.nmdc_haverequests(this.nick) ?
+				'Download' : 'Upload';
+			this.send(
+				'$Supports '+PEER_SUPPORTS+'|'+
+				'$Direction '+this.ourDirection+' '+this.ourNumber+'|'+
+				'$Key '+this.nmdc.nmdc_locktokey(rem.split(' ')[0])+'|'
+			);
+		} break;
+
+		case '$Supports': {
+			this.supports = rem.split(' ');
+		} break;
+
+		case '$Direction': {
+			var parts = rem.split(' ');
+			this.theirDirection = parts[0];
+			this.theirNumber = +parts[1];
+		} break;
+
+		case '$Key': {
+			this.peer_negotiated();
+		} break;
+
+		case '$ADCGET': {
+			// $ADCGET <type> <identifier> <start> <bytes>[ <flags>]
+			var args = peer_split_adc(rem);
+			this.peer_upload('adc', {
+				type: args[0],
+				ident: peer_unescape_adc(args[1] || ''),
+				start: +args[2],
+				bytes: +args[3],
+				flags: args.slice(4)
+			}, args[1]);
+		} break;
+
+		case '$Get': {
+			// $Get <path>$<1-based offset>
+			var dollar = rem.lastIndexOf('$');
+			this.peer_upload('get', {
+				type: 'file',
+				ident: rem.substr(0, dollar),
+				start: +rem.substr(dollar + 1) - 1,
+				bytes: -1,
+				flags: []
+			});
+		} break;
+
+		case '$Send': {
+			var pending = this.pendingGet;
+			if (pending !== null) {
+				clearTimeout(this._idleTimer);
+				this.pendingGet = null;
+				this.peer_senddata(pending);
+			}
+		} break;
+
+		case '$UGetBlock': {
+			// $UGetBlock <start> <bytes> <path>, with the path always in UTF-8
+			var ublock = raw.toString('utf8').match(/^\$UGetBlock (\d+) (-?\d+) (.+)$/);
+			if (ublock === null) {
+				this.send('$Failed Invalid request|');
+				break;
+			}
+			this.peer_upload('ugetblock', {
+				type: 'file',
+				ident: ublock[3],
+				start: +ublock[1],
+				bytes: +ublock[2],
+				flags: []
+			});
+		} break;
+
+		case '$ADCSND': {
+			this.peer_adcsnd(rem);
+		} break;
+
+		case '$MaxedOut': {
+			this.peer_failed(new Error(this.nick+' has no free slots'));
+			this.close();
+		} break;
+
+		case '$Error': {
+			this.peer_failed(new Error(this.nick+': '+rem));
+			this.next();
+		} break;
+
+		default: {
+			this.nmdc.onDebug('C-C: Unhandled "'+cmd+'"');
+		} break;
+	}
+};
+
+PeerConnection.prototype.peer_negotiated = function() {
+	if (this.state !== 'handshake') {
+		return;
+	}
+
+	// Whoever wants to download gets to. If both do, the higher random
+	//  number wins; a tie means neither can, and both sides disconnect.
+	var ours = this.ourDirection, theirs = this.theirDirection;
+	if (ours === 'Download' && theirs === 'Download') {
+		if (this.ourNumber === this.theirNumber) {
+			return this.close(new Error('Direction tie with '+this.nick));
+		}
+		this.direction = (this.ourNumber > this.theirNumber) ? 'download' : 'upload';
+	} else if (ours === 'Download') {
+		this.direction = 'download';
+	} else if (theirs === 'Download') {
+		this.direction = 'upload';
+	} else {
+		return this.close(new Error('Neither side wants to download'));
+	}
+
+	this.state = 'idle';
+	this.sock.setTimeout(0);
+	this.nmdc.onPeerConnected(this);
+	if (this.direction === 'upload') {
+		var self = this;
+		this._idleTimer = setTimeout(function() {
+			self.close();
+		}, NMDC_JS_PEER_IDLE_TIMEOUT);
+	}
+	this.next();
+};
+
+PeerConnection.prototype.peer_adcsnd = function(rem) {
+	// $ADCSND <type> <identifier> <start> <bytes>[ <flags>]
+	var req = this.transfer;
+	var parts = peer_split_adc(rem);
+	if (req === null || this.state !== 'requesting') {
+		return this.close(new Error('Unexpected $ADCSND from '+this.nick));
+	}
+
+	req.size = +parts[3];
+	req.compressed = (parts.slice(4).indexOf('ZL1') !== -1);
+	this.recvLeft = req.size;
+	this.state = 'receiving';
+	if (this.recvLeft === 0 && !req.compressed) {
+		return this.peer_received(Buffer.alloc(0));
+	}
+
+	// <bytes> counts uncompressed data, so inflate until we have that much.
+	//  The zlib trailer may come after the last of it, so the transfer is
+	//  only over once the inflater reaches the end of the stream.
+	if (req.compressed) {
+		var self = this;
+		var inflater = this.inflater = zlib.createInflate();
+		this.inflateCheck = 1;
+		this.inflateTail = Buffer.alloc(0);
+		inflater.on('data', function(chunk) {
+			if (self.inflater !== inflater) {
+				return;
+			}
+			self.inflateCheck = peer_adler32(self.inflateCheck, chunk);
+			chunk = chunk.slice(0, self.recvLeft);
+			self.recvLeft -= chunk.length;
+			self.peer_received(chunk);
+			self.peer_inflated();
+		});
+		inflater.on('error', function(e) {
+			if (self.inflater === inflater) {
+				self.close(new Error('Bad compressed data from '+self.nick+' ('+e.message+')'));
+			}
+		});
+		inflater.on('end', function() {
+			if (self.inflater !== inflater) {
+				return;
+			}
+			self.inflater = null;
+			self.inflateTail = null;
+			if (self.recvLeft > 0) {
+				return self.close(new Error('Compressed data from '+self.nick+' ended early'));
+			}
+			self.peer_received(Buffer.alloc(0));
+		});
+	}
+};
+
+PeerConnection.prototype.peer_inflated = function() {
+	// Node only notices the end of a zlib stream when more data follows it,
+	//  and none does here. Once everything is inflated and the last bytes
+	//  in are the stream's checksum, end the inflater; its 'end' finishes
+	//  the transfer.
+	if (this.inflater !== null && this.inflateTail !== null && this.recvLeft === 0 &&
+		this.inflateTail.length === 4 && this.inflateTail.readUInt32BE(0) === this.inflateCheck) {
+		this.inflateTail = null;
+		this.inflater.end();
+	}
+};
+
+PeerConnection.prototype.peer_received = function(chunk) {
+	var req = this.transfer;
+	if (chunk.length) {
+		req.received += chunk.length;
+		this.nmdc.stats.downloaded += chunk.length;
+		req.onData(chunk);
+		this.nmdc.onTransferProgress(this, req);
+	}
+
+	if (this.recvLeft === 0 && this.inflater === null) {
+		this.transfer = null;
+		this.state = 'idle';
+		this.nmdc.onTransferComplete(this, req);
+		req.onDone(null, req);
+		this.next();
+	}
+};
+
+PeerConnection.prototype.peer_failed = function(err) {
+	var req = this.transfer;
+	if (this.inflater !== null) {
+		this.inflater.destroy();
+		this.inflater = null;
+		this.inflateTail = null;
+	}
+	if (req !== null) {
+		this.transfer = null;
+		this.state = (this.state === 'closed') ? 'closed' : 'idle';
+		req.onDone(err, req);
+	}
+};
+
+PeerConnection.prototype.peer_upload = function(style, req, rawIdent) {
+	// Answer an upload request in the style it was asked in: 'adc' for
+	//  $ADCGET, 'get' for $Get/$Send and 'ugetblock' for $UGetBlock
+	clearTimeout(this._idleTimer);
+	if (this.pendingGet !== null) {
+		this.nmdc.uploads.cancel(this.pendingGet);
+		this.pendingGet = null;
+	}
+
+	var transfer = this.nmdc.uploads.open(this, req);
+	if (transfer.error === 'maxed') {
+		return this.send('$MaxedOut|');
+	}
+	if (transfer.error) {
+		return this.send(((style === 'ugetblock') ? '$Failed ' : '$Error ')+transfer.error+'|');
+	}
+
+	if (style === 'get') {
+		// Don't hold the slot for a peer that never sends $Send
+		var self = this;
+		this.pendingGet = transfer;
+		this._idleTimer = setTimeout(function() {
+			if (self.pendingGet === transfer) {
+				self.nmdc.uploads.cancel(transfer);
+				self.pendingGet = null;
+				self.close();
+			}
+		}, NMDC_JS_PEER_IDLE_TIMEOUT);
+		return this.send('$FileLength '+transfer.total+'|');
+	}
+	if (style === 'ugetblock') {
+		this.send('$Sending '+transfer.size+'|');
+	} else {
+		transfer.compressed = (req.flags.indexOf('ZL1') !== -1);
+		this.send(
+			'$ADCSND '+req.type+' '+rawIdent+' '+transfer.start+' '+transfer.size+
+			(transfer.compressed ? ' ZL1' : '')+'|'
+		);
+	}
+	this.peer_senddata(transfer);
+};
+
+PeerConnection.prototype.peer_senddata = function(transfer) {
+	var self = this;
+	this.nmdc.uploads.send(this, transfer, function(err) {
+		if (err) {
+			return self.close(err);
+		}
+		// Give the slot back if the peer doesn't ask for more
+		clearTimeout(self._idleTimer);
+		self._idleTimer = setTimeout(function() {
+			self.close();
+		}, NMDC_JS_PEER_IDLE_TIMEOUT);
+	});
+};
+
+PeerConnection.prototype.peer_closed = function() {
+	if (this.state === 'closed') {
+		return;
+	}
+	this.state = 'closed';
+	clearTimeout(this._idleTimer);
+	this.nmdc.uploads.release(this);
+	this.peer_failed(this.error || new Error('Connection to '+(this.nick || 'peer')+' closed'));
+	this.nmdc.nmdc_peerclosed(this);
+};
+
+// #################
+// Helpers
+// #################
+
+var peer_adler32 = function(adler, buf) {
+	var a = adler & 0xFFFF;
+	var b = adler >>> 16;
+	for (var i = 0; i < buf.length; ) {
+		// 5552 bytes is as far as the sums go without overflowing
+		var end = Math.min(buf.length, i + 5552);
+		for (; i < end; i++) {
+			a += buf[i];
+			b += a;
+		}
+		a %= 65521;
+		b %= 65521;
+	}
+	return ((b << 16) | a) >>> 0;
+};
+
+var peer_escape_adc = function(str) {
+	// NMDC clients escape with a backslash in front (\s and \n are for ADC
+	//  hubs)
+	return (''+str).replace(/[\\ \n]/g, '\\$&');
+};
+
+var peer_split_adc = function(str) {
+	// Split on spaces, leaving escaped ones in their parameter
+	return str.match(/(?:\\[\s\S]|[^ \\])+/g) || [];
+};
+
+var peer_unescape_adc = function(str) {
+	// Either style of escaping
+	return str.replace(/\\([\s\S])/g, function(m, c) {
+		return (c === 's') ? ' ' : (c === 'n') ? '\n' : c;
+	});
+};
+
+// #################
+// Exports
+// #################
+
+exports.PeerConnection = PeerConnection;
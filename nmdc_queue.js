@@ -0,0 +1,855 @@
+/* _  ___  _| _    * _
+  | )[ | )(_](_ *  |_)       Copyright (c) 2012-2016 -- the nmdc.js authors
+                 ._|
+Permission to use, copy, modify, and/or distribute this software for any
+  purpose with or without fee is hereby granted, provided that the above
+  copyright notice and this permission notice appear in all copies.
+*/
+
+"use strict";
+var fs = require('fs');
+var path = require('path');
+var nmdc_tth = require('./nmdc_tth.js');
+
+var NMDC_JS_QUEUE_TICK = 1000;
+var NMDC_JS_QUEUE_RETRY_BASE = 5*1000;
+var NMDC_JS_QUEUE_RETRY_MAX = 5*60*1000;
+var NMDC_JS_QUEUE_SEARCH_INTERVAL = 2*60*1000;
+var NMDC_JS_QUEUE_STALL_TIMEOUT = 60*1000;
+var NMDC_JS_QUEUE_SAVE_INTERVAL = 10*1000;
+
+var queue_counter = 0;
+
+/**
+ * Constructor for a persistent download queue on top of an Nmdc instance.
+ *  Files are downloaded to '<target>.dctmp' and renamed once complete, so
+ *  an interrupted download resumes where it left off. Files are split into
+ *  segments which are downloaded from several sources at once and written
+ *  in place. A segment whose source fails or stalls goes back to the pool
+ *  for another source, and the failed source is retried with exponential
+ *  backoff. Files with a TTH gain sources from TTH searches, and are
+ *  checked against their tree leaves (fetched through TTHL) as segments
+ *  arrive; corrupt blocks are downloaded again. A file is only complete
+ *  once its TTH root matches. Missing segments are handed out lowest
+ *  first, so the head of a file arrives first and a file marked for
+ *  preview can be played while it downloads (see available()).
+ *
+ * @class DownloadQueue
+ * @constructor
+ * @param {Nmdc} nmdc Hub connection to download through
+ * @param {Object} options file (JSON file the queue is saved to), dir
+ *  (default download directory), retries (attempts before giving up),
+ *  max_downloads (files downloading at once), max_sources (sources used
+ *  at once per file), segment_size (bytes per segment)
+ */
+function DownloadQueue(nmdc, options) {
+
+	// Simulate calling constructor with 'new' if it was omitted
+	if (!(this instanceof DownloadQueue)) {
+		return new DownloadQueue(nmdc, options);
+	}
+
+	// Handlers
+	this.onAdded    = function(entry){};
+	this.onProgress = function(entry){};
+	this.onComplete = function(entry){};
+	this.onFailed   = function(entry, e){};
+	this.onError    = function(e){};
+
+	this.opts = {
+		file: '',
+		dir: '.',
+		retries: 10,
+		max_downloads: 3,
+		max_sources: 4,
+		segment_size: 4*1024*1024
+	};
+	if (typeof(options) !== 'undefined') {
+		for (var i in options) {
+			this.opts[i] = options[i];
+		}
+	}
+
+	this.nmdc = nmdc;
+	this.entries = [];
+	this._ticker = false;
+	this._saving = false;
+	this._saveAgain = false;
+	this._lastSave = 0;
+}
+
+/**
+ * Load the saved queue from opts.file and start downloading.
+ *
+ * @param {Function} cb Callback(err) once loaded (optional)
+ * @return {DownloadQueue} Returns self for chained calls
+ */
+DownloadQueue.prototype.start = function(cb) {
+	var self = this;
+	var done = function(err) {
+		if (self._ticker === false) {
+			self._ticker = setInterval(function() {
+				self.queue_tick();
+			}, NMDC_JS_QUEUE_TICK);
+		}
+		if (typeof(cb) === 'function') {
+			cb(err || null);
+		}
+	};
+
+	if (!this.opts.file.length || this.entries.length) {
+		done(null);
+		return this;
+	}
+
+	fs.readFile(this.opts.file, 'utf8', function(err, data) {
+		if (err) {
+			return done((err.code === 'ENOENT') ? null : err);
+		}
+		try {
+			JSON.parse(data).entries.forEach(function(e) {
+				self.entries.push(queue_restore(e));
+			});
+		} catch (ex) {
+			self.onError(new Error('Ignoring corrupt queue file ('+ex.message+')'));
+		}
+		done(null);
+	});
+	return this;
+};
+
+/**
+ * Stop downloading. Transfers in progress are interrupted and resume from
+ *  their temp files on the next start().
+ *
+ * @return {DownloadQueue} Returns self for chained calls
+ */
+DownloadQueue.prototype.stop = function() {
+	if (this._ticker !== false) {
+		clearInterval(this._ticker);
+		this._ticker = false;
+	}
+	var self = this;
+	this.entries.forEach(function(entry) {
+		self.queue_abort(entry, new Error('Queue stopped'));
+	});
+	this.save();
+	return this;
+};
+
+/**
+ * Add a file to the queue. Adding a TTH that is already queued only adds
+ *  the new source.
+ *
+ * @param {Object} item nick and path of a source, tth and size if known,
+ *  target (local path; defaults to the file name in opts.dir)
+ * @return {Object} Queue entry
+ */
+DownloadQueue.prototype.add = function(item) {
+	var existing = item.tth ? this.find(item.tth) : null;
+	if (existing !== null) {
+		if (item.nick) {
+			this.addSource(existing, item.nick, item.path || '');
+		}
+		return existing;
+	}
+	if (!item.tth && !item.path) {
+		throw new Error('Queue entries need a path or a TTH');
+	}
+
+	var name = queue_localname(item.path ? item.path.split(/[\\\/]/).pop() : item.tth);
+	var entry = queue_restore({
+		id: Date.now().toString(36) + '-' + (++queue_counter),
+		tth: item.tth || '',
+		size: ('size' in item) ? +item.size : -1,
+		target: path.resolve(item.target || path.join(this.opts.dir, name)),
+		sources: item.nick ? [{ nick: item.nick, path: item.path || '' }] : []
+	});
+
+	this.entries.push(entry);
+	this.save();
+	this.onAdded(entry);
+	return entry;
+};
+
+/**
+ * Add a source to a queued file.
+ *
+ * @param {Object} entry Queue entry
+ * @param {String} nick User who has the file
+ * @param {String} file Path of the file in their share
+ * @return {Boolean} True if the source was new
+ */
+DownloadQueue.prototype.addSource = function(entry, nick, file) {
+	if (entry.sources.some(function(s) { return s.nick === nick; })) {
+		return false;
+	}
+	entry.sources.push({ nick: nick, path: file || '', failures: 0, nextTry: 0 });
+	this.save();
+	return true;
+};
+
+/**
+ * Remove a file from the queue, deleting its temp file.
+ *
+ * @param {String} id Queue entry id or TTH
+ * @return {Boolean} True if the entry existed
+ */
+DownloadQueue.prototype.remove = function(id) {
+	var entry = this.find(id);
+	if (entry === null) {
+		return false;
+	}
+	this.queue_abort(entry, new Error('Removed from queue'));
+	this.entries.splice(this.entries.indexOf(entry), 1);
+	if (entry.state !== 'done') {
+		fs.unlink(entry.target + '.dctmp', function() {});
+	}
+	this.save();
+	return true;
+};
+
+/**
+ * Look up a queue entry.
+ *
+ * @param {String} id Queue entry id or TTH
+ * @return {Object} Queue entry, or null
+ */
+DownloadQueue.prototype.find = function(id) {
+	for (var i = 0; i < this.entries.length; i++) {
+		if (this.entries[i].id === id || (id && this.entries[i].tth === id)) {
+			return this.entries[i];
+		}
+	}
+	return null;
+};
+
+/**
+ * Mark a file for preview while someone is playing it: it starts
+ *  downloading right away, even with max_downloads files already running.
+ *  The mark is not saved with the queue.
+ *
+ * @param {String} id Queue entry id or TTH
+ * @param {Boolean} enable False to take the mark away again (optional)
+ * @return {Object} Queue entry, or null
+ */
+DownloadQueue.prototype.preview = function(id, enable) {
+	var entry = this.find(id);
+	enable = (enable !== false);
+	if (entry === null || entry.preview === enable) {
+		return entry;
+	}
+	entry.preview = enable;
+	if (enable && entry.state === 'queued') {
+		entry.nextTry = 0;
+	}
+	this.onProgress(entry);
+	return entry;
+};
+
+/**
+ * Get how much of a file can be read in order from its start.
+ *
+ * @param {Object} entry Queue entry
+ * @return {Number} Bytes at the head of the temp file (or of the target,
+ *  once done) that are on disk
+ */
+DownloadQueue.prototype.available = function(entry) {
+	if (entry.state === 'done') {
+		return entry.size;
+	}
+	var ret = 0;
+	var segs = entry.segments || [];
+	for (var i = 0; i < segs.length && segs[i].start === ret; i++) {
+		ret += segs[i].done;
+		if (! queue_segdone(segs[i])) {
+			break;
+		}
+	}
+	return ret;
+};
+
+/**
+ * Save the queue to opts.file.
+ *
+ * @return {DownloadQueue} Returns self for chained calls
+ */
+DownloadQueue.prototype.save = function() {
+	var self = this;
+	if (! this.opts.file.length) {
+		return this;
+	}
+	if (this._saving) {
+		this._saveAgain = true;
+		return this;
+	}
+	this._saving = true;
+	this._lastSave = Date.now();
+
+	var tmp = this.opts.file + '.tmp';
+	var data = JSON.stringify({
+		version: 1,
+		entries: this.entries.map(queue_persisted)
+	});
+	fs.writeFile(tmp, data, function(err) {
+		var finish = function(err) {
+			if (err) {
+				self.onError(err);
+			}
+			self._saving = false;
+			if (self._saveAgain) {
+				self._saveAgain = false;
+				self.save();
+			}
+		};
+		if (err) {
+			return finish(err);
+		}
+		fs.rename(tmp, self.opts.file, finish);
+	});
+	return this;
+};
+
+// #################
+// Internal
+// #################
+
+DownloadQueue.prototype.queue_tick = function() {
+	var self = this;
+	var now = Date.now();
+	var running = this.entries.filter(function(e) { return e.state === 'running'; }).length;
+
+	this.entries.forEach(function(entry) {
+		if (entry.state === 'done' || entry.state === 'failed') {
+			return;
+		}
+
+		// Give up on sources that never connect or stop sending
+		(entry.segments || []).concat(entry.tthl || []).forEach(function(seg) {
+			if (seg.request && now - seg.lastActivity > NMDC_JS_QUEUE_STALL_TIMEOUT) {
+				self.nmdc.nmdc_cancelrequest(seg.request,
+					new Error('No data from '+seg.source.nick));
+			}
+		});
+
+		// Look for alternate sources now and then
+		if (entry.tth.length && now - entry.lastSearch > NMDC_JS_QUEUE_SEARCH_INTERVAL &&
+			(entry.state !== 'running' || entry.sources.length < self.opts.max_sources)) {
+			self.queue_searchsources(entry);
+		}
+
+		if (entry.state === 'queued' && entry.nextTry <= now &&
+			(running < self.opts.max_downloads || entry.preview) &&
+			self.nmdc.getIsConnected()) {
+			running++;
+			self.queue_run(entry);
+		} else if (entry.state === 'running' && entry.segments !== null) {
+			self.queue_fill(entry);
+		}
+	});
+
+	// Keep segment progress on disk while downloading
+	if (running && now - this._lastSave > NMDC_JS_QUEUE_SAVE_INTERVAL) {
+		this.save();
+	}
+};
+
+DownloadQueue.prototype.queue_searchsources = function(entry) {
+	var self = this;
+	entry.lastSearch = Date.now();
+	try {
+		var handle = this.nmdc.search({ tth: entry.tth });
+		handle.onResult = function(r) {
+			if (entry.size < 0 || r.size === entry.size) {
+				self.addSource(entry, r.nick, r.path);
+			}
+		};
+	} catch (ex) {
+		this.onError(ex);
+	}
+};
+
+DownloadQueue.prototype.queue_run = function(entry) {
+	var self = this;
+	entry.state = 'running';
+	entry.error = '';
+
+	// Get the tree leaves first, so segments can line up with leaf blocks
+	if (entry.tth.length && entry.size > 0 && entry.leaves === null && !entry.leavesTried) {
+		return this.queue_fetchleaves(entry, function() {
+			if (entry.state === 'running') {
+				self.queue_prepare(entry);
+			}
+		});
+	}
+	this.queue_prepare(entry);
+};
+
+DownloadQueue.prototype.queue_fetchleaves = function(entry, cb) {
+	var self = this;
+	var source = this.queue_idle(entry)[0];
+	if (! source) {
+		return cb();
+	}
+
+	var chunks = [];
+	entry.tthl = { source: source, lastActivity: Date.now(), request: null };
+	entry.tthl.request = this.nmdc.nmdc_request(source.nick, {
+		type: 'tthl',
+		ident: 'TTH/'+entry.tth,
+		start: 0,
+		bytes: -1,
+		onData: function(chunk) {
+			entry.tthl.lastActivity = Date.now();
+			chunks.push(chunk);
+		},
+		onDone: function(err) {
+			entry.tthl = null;
+			if (entry.state !== 'running') {
+				return;
+			}
+			// Without leaves the file is still checked against its root once
+			//  complete, so go on with the download either way
+			entry.leavesTried = true;
+			var leaves = Buffer.concat(chunks);
+			if (!err && (!leaves.length || leaves.length % 24 ||
+				nmdc_tth.base32(nmdc_tth.rootFromLeaves(leaves)) !== entry.tth)) {
+				err = new Error('Invalid tree leaves from '+source.nick);
+			}
+			if (err) {
+				self.onError(err);
+			} else {
+				entry.leaves = leaves;
+				entry.blockSize = nmdc_tth.blockSizeFor(entry.size, leaves.length / 24);
+				self.save();
+			}
+			cb();
+		}
+	});
+};
+
+DownloadQueue.prototype.queue_prepare = function(entry) {
+	var self = this;
+	var temp = entry.target + '.dctmp';
+
+	fs.stat(temp, function(err, st) {
+		if (entry.state !== 'running') {
+			return;
+		}
+		var have = err ? 0 : st.size;
+		if (entry.segments === null || have === 0) {
+			// Without saved segments, assume the temp file was written in order
+			var segSize = self.opts.segment_size;
+			if (entry.leaves !== null) {
+				segSize = Math.ceil(segSize / entry.blockSize) * entry.blockSize;
+			}
+			entry.segments = queue_segments(entry.size, segSize,
+				(entry.size < 0 || have <= entry.size) ? have : 0);
+		}
+		entry.downloaded = queue_downloaded(entry);
+
+		// The segments are written in place, so the temp file must exist
+		fs.mkdir(path.dirname(temp), { recursive: true }, function() {
+			fs.open(temp, 'a', function(err, fd) {
+				if (err) {
+					entry.segments = null;
+					return self.queue_retry(entry, err);
+				}
+				fs.close(fd, function() {
+					if (entry.state === 'running') {
+						self.queue_fill(entry);
+					}
+				});
+			});
+		});
+	});
+};
+
+DownloadQueue.prototype.queue_fill = function(entry) {
+	var self = this;
+	var now = Date.now();
+	var segs = entry.segments;
+
+	if (segs.every(queue_segdone)) {
+		return this.queue_finish(entry, entry.target + '.dctmp');
+	}
+
+	// Hand missing segments, lowest first, to idle sources
+	var idle = this.queue_idle(entry);
+	var busy = segs.filter(function(s) { return s.request; });
+	var checking = segs.some(function(s) { return s.verifying; });
+
+	for (var i = 0; i < segs.length && busy.length < this.opts.max_sources; i++) {
+		if (segs[i].request || segs[i].verifying || queue_segdone(segs[i])) {
+			continue;
+		}
+		var source = idle.shift();
+		if (! source) {
+			break;
+		}
+		busy.push(source);
+		this.queue_segment(entry, segs[i], source);
+	}
+
+	if (!busy.length && !checking) {
+		// Nobody to download from right now; wait for the first source to
+		//  come off its backoff, or for a search to turn up new ones
+		entry.state = 'queued';
+		entry.nextTry = entry.sources.reduce(function(t, s) {
+			return Math.min(t, s.nextTry);
+		}, now + NMDC_JS_QUEUE_RETRY_BASE);
+		this.save();
+		if (entry.tth.length && now - entry.lastSearch > NMDC_JS_QUEUE_SEARCH_INTERVAL) {
+			this.queue_searchsources(entry);
+		}
+	}
+};
+
+DownloadQueue.prototype.queue_idle = function(entry) {
+	// Sources not busy with this file and not backing off. Users who are
+	//  online and have failed the least go first.
+	var now = Date.now();
+	var users = this.nmdc.users;
+	var busy = (entry.segments || []).concat(entry.tthl || []).filter(function(s) {
+		return s.request;
+	}).map(function(s) {
+		return s.source;
+	});
+	return entry.sources.filter(function(s) {
+		return busy.indexOf(s) === -1 && s.nextTry <= now;
+	}).sort(function(a, b) {
+		return ((b.nick in users) - (a.nick in users)) || (a.failures - b.failures);
+	});
+};
+
+DownloadQueue.prototype.queue_segment = function(entry, seg, source) {
+	var self = this;
+	var temp = entry.target + '.dctmp';
+	var offset = seg.start + seg.done;
+
+	var out = fs.createWriteStream(temp, { flags: 'r+', start: offset });
+	var writeError = null;
+	out.on('error', function(e) {
+		writeError = e;
+		if (seg.request) {
+			self.nmdc.nmdc_cancelrequest(seg.request, e);
+		}
+	});
+
+	seg.source = source;
+	seg.received = seg.done;
+	seg.lastActivity = Date.now();
+	seg.request = this.nmdc.nmdc_request(source.nick, {
+		type: 'file',
+		ident: entry.tth.length ? ('TTH/'+entry.tth) : queue_adcpath(source.path),
+		start: offset,
+		bytes: (seg.end >= 0) ? (seg.end - offset) : -1,
+		onData: function(chunk) {
+			seg.lastActivity = Date.now();
+			seg.received += chunk.length;
+			entry.downloaded += chunk.length;
+			out.write(chunk, function(err) {
+				if (! err) {
+					seg.done += chunk.length;
+				}
+			});
+			self.onProgress(entry);
+		},
+		onDone: function(err) {
+			out.end(function() {
+				seg.request = null;
+				err = err || writeError;
+				if (!err && seg.end < 0) {
+					// Unknown size: the only segment ends wherever the file does
+					seg.end = seg.start + seg.done;
+					entry.size = seg.end;
+				}
+				if (!err && !queue_segdone(seg)) {
+					err = new Error('Short read from '+source.nick);
+				}
+				self.queue_segfinished(entry, seg, err);
+			});
+		}
+	});
+};
+
+DownloadQueue.prototype.queue_segfinished = function(entry, seg, err) {
+	var self = this;
+	entry.downloaded = queue_downloaded(entry);
+	if (entry.state !== 'running') {
+		return; // stopped or removed
+	}
+	if (err || entry.leaves === null) {
+		return this.queue_segresult(entry, seg, err);
+	}
+
+	// Check the new data before counting the segment as done
+	seg.verifying = true;
+	this.queue_checkblocks(entry, seg.start, seg.end, function(err, bad) {
+		seg.verifying = false;
+		entry.downloaded = queue_downloaded(entry);
+		if (!err && bad.length) {
+			err = new Error('Corrupt data from '+seg.source.nick+' (block '+bad.join(', ')+')');
+		}
+		if (entry.state === 'running') {
+			self.queue_segresult(entry, seg, err);
+		}
+	});
+};
+
+DownloadQueue.prototype.queue_segresult = function(entry, seg, err) {
+	if (err) {
+		var source = seg.source;
+		source.failures++;
+		source.nextTry = Date.now() + queue_backoff(source.failures);
+		entry.attempts++;
+		entry.error = err.message;
+		this.onError(err);
+		if (entry.attempts >= this.opts.retries) {
+			return this.queue_fail(entry, err);
+		}
+	} else {
+		seg.source.failures = 0;
+		entry.attempts = 0;
+	}
+	this.queue_fill(entry);
+};
+
+DownloadQueue.prototype.queue_checkblocks = function(entry, from, to, cb) {
+	// Hash the leaf blocks lying entirely within [from, to) and compare them
+	//  against the leaves. Corrupt blocks are marked as missing again.
+	var self = this;
+	var temp = entry.target + '.dctmp';
+	var bs = entry.blockSize;
+	var bad = [];
+
+	var next = function(b) {
+		var start = b * bs;
+		var length = Math.min(bs, entry.size - start);
+		if (length <= 0 || start + length > to) {
+			return cb(null, bad);
+		}
+		nmdc_tth.hashRange(temp, start, length, function(err, root) {
+			if (err) {
+				return cb(err, bad);
+			}
+			if (! root.equals(entry.leaves.slice(b*24, b*24 + 24))) {
+				bad.push(b);
+				queue_invalidate(entry, start, start + length);
+			}
+			next(b + 1);
+		});
+	};
+	next(Math.ceil(from / bs));
+};
+
+DownloadQueue.prototype.queue_finish = function(entry, temp) {
+	var self = this;
+	entry.state = 'finishing';
+	fs.stat(temp, function(err, st) {
+		if (err || st.size !== entry.size) {
+			return self.queue_retry(entry, err ||
+				new Error('Size mismatch ('+st.size+' of '+entry.size+' bytes)'));
+		}
+		if (! entry.tth.length) {
+			return self.queue_complete(entry, temp);
+		}
+		nmdc_tth.hashFile(temp, function(err, digest) {
+			if (err) {
+				return self.queue_retry(entry, err);
+			}
+			if (digest.tth === entry.tth) {
+				return self.queue_complete(entry, temp);
+			}
+			err = new Error('TTH mismatch ('+digest.tth+')');
+			if (entry.leaves === null) {
+				return self.queue_retry(entry, err);
+			}
+
+			// Find the bad blocks and download only those again
+			self.queue_checkblocks(entry, 0, entry.size, function(e, bad) {
+				if (e || !bad.length) {
+					return self.queue_retry(entry, e || err);
+				}
+				entry.attempts++;
+				entry.error = err.message;
+				self.onError(err);
+				if (entry.attempts >= self.opts.retries) {
+					return self.queue_fail(entry, err);
+				}
+				entry.state = 'running';
+				entry.downloaded = queue_downloaded(entry);
+				self.queue_fill(entry);
+			});
+		});
+	});
+};
+
+DownloadQueue.prototype.queue_complete = function(entry, temp) {
+	var self = this;
+	fs.rename(temp, entry.target, function(err) {
+		if (err) {
+			return self.queue_fail(entry, err); // keep the verified temp file
+		}
+		entry.state = 'done';
+		entry.error = '';
+		entry.segments = null;
+		self.save();
+		self.onComplete(entry);
+	});
+};
+
+DownloadQueue.prototype.queue_retry = function(entry, err) {
+	// Start the whole file over after a backoff
+	entry.attempts++;
+	entry.error = err.message;
+	entry.segments = null;
+	this.onError(err);
+	fs.unlink(entry.target + '.dctmp', function() {});
+	if (entry.attempts >= this.opts.retries) {
+		return this.queue_fail(entry, err);
+	}
+	entry.nextTry = Date.now() + queue_backoff(entry.attempts);
+	entry.state = 'queued';
+	this.save();
+};
+
+DownloadQueue.prototype.queue_fail = function(entry, err) {
+	this.queue_abort(entry, err);
+	entry.state = 'failed';
+	this.save();
+	this.onFailed(entry, err);
+};
+
+DownloadQueue.prototype.queue_abort = function(entry, err) {
+	// Interrupt without counting it as a failed attempt
+	var self = this;
+	if (entry.state === 'running') {
+		entry.state = 'queued';
+	}
+	(entry.segments || []).concat(entry.tthl || []).forEach(function(seg) {
+		if (seg.request) {
+			self.nmdc.nmdc_cancelrequest(seg.request, err);
+		}
+	});
+};
+
+// #################
+// Helpers
+// #################
+
+var queue_restore = function(e) {
+	var leaves = e.leaves ? Buffer.from(e.leaves, 'base64') : null;
+	return {
+		id: e.id,
+		tth: e.tth || '',
+		size: (typeof(e.size) === 'number') ? e.size : -1,
+		target: e.target,
+		sources: (e.sources || []).map(function(s) {
+			return { nick: s.nick, path: s.path || '', failures: 0, nextTry: 0 };
+		}),
+		segments: Array.isArray(e.segments) ? e.segments.map(function(s) {
+			return queue_newseg(s[0], s[1], s[2]);
+		}) : null,
+		leaves: leaves,
+		blockSize: leaves ? nmdc_tth.blockSizeFor(e.size, leaves.length / 24) : 0,
+		leavesTried: false,
+		tthl: null,
+		preview: false,
+		state: (e.state === 'done' || e.state === 'failed') ? e.state : 'queued',
+		attempts: e.attempts || 0,
+		error: e.error || '',
+		downloaded: 0,
+		nextTry: 0,
+		lastSearch: 0
+	};
+};
+
+var queue_persisted = function(e) {
+	return {
+		id: e.id,
+		tth: e.tth,
+		size: e.size,
+		target: e.target,
+		sources: e.sources.map(function(s) {
+			return { nick: s.nick, path: s.path };
+		}),
+		segments: e.segments && e.segments.map(function(s) {
+			return [s.start, s.end, s.done];
+		}),
+		leaves: e.leaves && e.leaves.toString('base64'),
+		state: (e.state === 'finishing') ? 'queued' : e.state,
+		attempts: e.attempts,
+		error: e.error
+	};
+};
+
+var queue_newseg = function(start, end, done) {
+	return {
+		start: start,
+		end: end, // exclusive, -1 while the file size is unknown
+		done: done || 0, // bytes written to disk
+		received: done || 0,
+		source: null,
+		request: null,
+		verifying: false,
+		lastActivity: 0
+	};
+};
+
+// Mark the bytes in [start, end) as missing again
+var queue_invalidate = function(entry, start, end) {
+	entry.segments.forEach(function(seg) {
+		if (seg.start < end && seg.start + seg.done > start) {
+			seg.done = Math.max(0, start - seg.start);
+			seg.received = seg.done;
+		}
+	});
+};
+
+// Split a file into segments. The first 'have' bytes are already on disk.
+var queue_segments = function(size, segmentSize, have) {
+	if (size < 0) {
+		return [queue_newseg(0, -1, have)];
+	}
+	var ret = [];
+	for (var start = 0; start < size || !ret.length; start += segmentSize) {
+		var end = Math.min(size, start + segmentSize);
+		ret.push(queue_newseg(start, end, Math.max(0, Math.min(end, have) - start)));
+	}
+	return ret;
+};
+
+var queue_segdone = function(seg) {
+	return seg.end >= 0 && seg.start + seg.done >= seg.end;
+};
+
+var queue_downloaded = function(entry) {
+	return (entry.segments || []).reduce(function(n, s) { return n + s.done; }, 0);
+};
+
+// Exponential backoff with some jitter, so several clients that lost the
+//  same source don't all come back at once
+var queue_backoff = function(attempts) {
+	var delay = Math.min(
+		NMDC_JS_QUEUE_RETRY_MAX,
+		NMDC_JS_QUEUE_RETRY_BASE * Math.pow(2, attempts - 1)
+	);
+	return delay * (0.75 + Math.random()*0.5);
+};
+
+var queue_localname = function(name) {
+	// Names come from other users; keep them inside opts.dir
+	name = name.replace(/[\x00-\x1f\/\\:*?"<>|]/g, '_');
+	return (name === '' || name === '.' || name === '..') ? '_' : name;
+};
+
+var queue_adcpath = function(file) {
+	return '/'+file.split(/[\\\/]/).filter(function(p) { return p.length; }).join('/');
+};
+
+// #################
+// Exports
+// #################
+
+exports.DownloadQueue = DownloadQueue;
@@ -0,0 +1,271 @@
+/* _  ___  _| _    * _
+  | )[ | )(_](_ *  |_)       Copyright (c) 2012-2016 -- the nmdc.js authors
+                 ._|
+Permission to use, copy, modify, and/or distribute this software for any
+  purpose with or without fee is hereby granted, provided that the above
+  copyright notice and this permission notice appear in all copies.
+*/
+
+"use strict";
+
+var NMDC_JS_SEARCH_WINDOW = 60*1000;
+
+// $Search data types, by name
+var TYPES = {
+	any: 1,
+	audio: 2,
+	compressed: 3,
+	document: 4,
+	executable: 5,
+	picture: 6,
+	video: 7,
+	folder: 8,
+	tth: 9
+};
+
+// File extensions belonging to each restricted data type
+var EXTENSIONS = {};
+EXTENSIONS[TYPES.audio] = ['mp3', 'mp2', 'wav', 'au', 'rm', 'mid', 'sm',
+	'ogg', 'flac', 'm4a', 'aac', 'wma', 'ape', 'aiff', 'opus'];
+EXTENSIONS[TYPES.compressed] = ['zip', 'arj', 'rar', 'lzh', 'gz', 'z', 'arc',
+	'pak', '7z', 'bz2', 'xz', 'tar', 'tgz', 'ace', 'cab'];
+EXTENSIONS[TYPES.document] = ['doc', 'txt', 'wri', 'pdf', 'ps', 'tex', 'docx',
+	'odt', 'rtf', 'xls', 'xlsx', 'ppt', 'pptx', 'htm', 'html', 'nfo', 'epub'];
+EXTENSIONS[TYPES.executable] = ['pm', 'exe', 'bat', 'com', 'msi', 'sh',
+	'dll', 'apk', 'jar'];
+EXTENSIONS[TYPES.picture] = ['gif', 'jpg', 'jpeg', 'bmp', 'pcx', 'png', 'wmf',
+	'psd', 'tif', 'tiff', 'webp', 'svg', 'ico'];
+EXTENSIONS[TYPES.video] = ['mpg', 'mpeg', 'avi', 'asf', 'mov', 'mkv', 'mp4',
+	'm4v', 'wmv', 'flv', 'webm', 'ogm', 'vob', '3gp', 'ts'];
+
+var search_token = 0;
+
+/**
+ * Constructor for search handles, as returned by Nmdc.search(). A handle
+ *  collects the results matching its own query until its window expires.
+ *  NMDC search results carry no token, so results are matched against the
+ *  query itself (or the root hash, for TTH searches).
+ *
+ * @class Search
+ * @constructor
+ * @param {Object} params Search parameters as accepted by Nmdc.search()
+ * @param {Number} window Milliseconds to collect results for
+ */
+function Search(params, window) {
+
+	// Handlers
+	this.onResult = function(r){};
+	this.onExpire = function(){};
+
+	this.token = ++search_token;
+	this.params = normalize(params);
+	this.results = [];
+	this.expired = false;
+
+	var self = this;
+	this._timer = setTimeout(function() {
+		self.cancel();
+	}, (typeof(window) === 'number') ? window : NMDC_JS_SEARCH_WINDOW);
+}
+
+/**
+ * Check whether a parsed search result answers this search.
+ *
+ * @param {Object} result Search result as passed to Nmdc.onSearchResult
+ * @return {Boolean} True if the result matches
+ */
+Search.prototype.matches = function(result) {
+	return matchEntry(this.params, {
+		name: result.name,
+		path: result.path,
+		size: result.size,
+		tth: result.tth,
+		isDir: (result.type === 'directory')
+	});
+};
+
+/**
+ * Record a result for this search and fire onResult.
+ *
+ * @param {Object} result Search result as passed to Nmdc.onSearchResult
+ * @return {Search} Returns self for chained calls
+ */
+Search.prototype.addResult = function(result) {
+	if (! this.expired) {
+		this.results.push(result);
+		this.onResult(result);
+	}
+	return this;
+};
+
+/**
+ * Stop collecting results. Called automatically when the window expires.
+ *
+ * @return {Search} Returns self for chained calls
+ */
+Search.prototype.cancel = function() {
+	if (! this.expired) {
+		clearTimeout(this._timer);
+		this.expired = true;
+		this.onExpire();
+	}
+	return this;
+};
+
+// #################
+// Helpers
+// #################
+
+var normalize = function(params) {
+	var type = params.type || 'any';
+	if (typeof(type) === 'string') {
+		if (!(type in TYPES)) {
+			throw new Error("Unknown search type '" + type + "'");
+		}
+		type = TYPES[type];
+	}
+	if (params.tth) {
+		type = TYPES.tth;
+	}
+
+	return {
+		query: ''+(params.query || ''),
+		terms: (''+(params.query || '')).toLowerCase().split(/\s+/).
+			filter(function(t) { return t.length; }),
+		minSize: +params.minSize || 0,
+		maxSize: +params.maxSize || 0,
+		type: type,
+		tth: params.tth || ''
+	};
+};
+
+var escape = function(str) {
+	return str.replace(/&/g,'&amp;').replace(/\|/g,'&#124;').
+		replace(/\$/g,'&#36;');
+};
+
+var unescape = function(str) {
+	return str.replace(/&#36;/g,'$').replace(/&#124;/g,'|').
+		replace(/&amp;/g,'&');
+};
+
+/**
+ * Encode search parameters into the
+ *  <sizerestricted>?<ismaxsize>?<size>?<datatype>?<pattern> part of $Search.
+ *  The protocol only carries one size limit; when both are given, the
+ *  minimum is sent and the maximum is applied to incoming results.
+ *
+ * @param {Object} params Search parameters as accepted by Nmdc.search()
+ * @return {String} Encoded search string
+ */
+var build = function(params) {
+	var p = normalize(params);
+	var size = 'F?T?0';
+	if (p.minSize) {
+		size = 'T?F?' + p.minSize;
+	} else if (p.maxSize) {
+		size = 'T?T?' + p.maxSize;
+	}
+
+	if (p.type === TYPES.tth) {
+		if (! p.tth.length) {
+			throw new Error('TTH search without a root hash');
+		}
+		return 'F?T?0?' + TYPES.tth + '?TTH:' + p.tth;
+	}
+	if (! p.terms.length) {
+		throw new Error('Search without any terms');
+	}
+	return size + '?' + p.type + '?' + p.query.split(/\s+/).
+		filter(function(t) { return t.length; }).map(escape).join('$');
+};
+
+/**
+ * Decode the arguments of an incoming $Search command.
+ *
+ * @param {String} str Everything after '$Search '
+ * @return {Object} Search parameters plus 'source' (Hub:nick or ip:port)
+ *  and 'passive', or null if the command is malformed
+ */
+var parse = function(str) {
+	var spos = str.indexOf(' ');
+	var parts = str.substr(spos+1).split('?');
+	if (spos === -1 || parts.length < 5) {
+		return null;
+	}
+
+	// The pattern itself may contain '?'
+	var pattern = parts.slice(4).join('?');
+	var params = { type: +parts[3] };
+	if (parts[0] === 'T') {
+		params[(parts[1] === 'T') ? 'maxSize' : 'minSize'] = +parts[2];
+	}
+	if (params.type === TYPES.tth) {
+		if (pattern.substr(0, 4) !== 'TTH:') {
+			return null;
+		}
+		params.tth = pattern.substr(4);
+	} else {
+		params.query = pattern.split('$').map(unescape).join(' ');
+	}
+	if (!(params.type >= TYPES.any && params.type <= TYPES.tth)) {
+		return null;
+	}
+
+	var ret = normalize(params);
+	ret.source = str.substr(0, spos);
+	ret.passive = (ret.source.substr(0, 4) === 'Hub:');
+	return ret;
+};
+
+/**
+ * Check whether a file or directory matches decoded search parameters.
+ *
+ * @param {Object} p Parameters as returned by parse()
+ * @param {Object} entry Object with name, path, size, tth and isDir fields
+ * @return {Boolean} True if the entry matches
+ */
+var matchEntry = function(p, entry) {
+	if (p.type === TYPES.tth) {
+		return !entry.isDir && entry.tth === p.tth;
+	}
+	if (p.type === TYPES.folder && !entry.isDir) {
+		return false;
+	}
+	if (!entry.isDir) {
+		if (p.minSize && entry.size < p.minSize) {
+			return false;
+		}
+		if (p.maxSize && entry.size > p.maxSize) {
+			return false;
+		}
+		if (p.type in EXTENSIONS) {
+			var dpos = entry.name.lastIndexOf('.');
+			var ext = (dpos === -1) ? '' : entry.name.substr(dpos+1).toLowerCase();
+			if (EXTENSIONS[p.type].indexOf(ext) === -1) {
+				return false;
+			}
+		}
+	} else if (p.type !== TYPES.any && p.type !== TYPES.folder) {
+		return false;
+	}
+
+	var path = entry.path.toLowerCase();
+	for (var i in p.terms) {
+		if (path.indexOf(p.terms[i]) === -1) {
+			return false;
+		}
+	}
+	return true;
+};
+
+// #################
+// Exports
+// #################
+
+exports.Search = Search;
+exports.TYPES = TYPES;
+exports.EXTENSIONS = EXTENSIONS;
+exports.build = build;
+exports.parse = parse;
+exports.matchEntry = matchEntry;
@@ -0,0 +1,1002 @@
+/* _  ___  _| _    * _
+  | )[ | )(_](_ *  |_)       Copyright (c) 2012-2016 -- the nmdc.js authors
+                 ._|
+Permission to use, copy, modify, and/or distribute this software for any
+  purpose with or without fee is hereby granted, provided that the above
+  copyright notice and this permission notice appear in all copies.
+*/
+
+"use strict";
+var fs = require('fs');
+var path = require('path');
+var express = require('express');
+var HubManager = require('./nmdc_hubs.js').HubManager;
+var ChatLog = require('./nmdc_chatlog.js').ChatLog;
+var DownloadQueue = require('./nmdc_queue.js').DownloadQueue;
+var nmdc_static = require('./nmdc_static.js');
+
+var NMDC_JS_SERVER_MAX_BODY = 64*1024;
+var NMDC_JS_SERVER_PROGRESS_INTERVAL = 250;
+var NMDC_JS_SERVER_PING_INTERVAL = 30*1000;
+var NMDC_JS_SERVER_REPLAY = 100;
+var NMDC_JS_SERVER_MAX_LISTS = 10;
+var NMDC_JS_SERVER_STREAM_POLL = 500;
+var NMDC_JS_SERVER_STREAM_CHUNK = 256*1024;
+
+// Hub options a browser may set through /api/connect
+var SERVER_HUB_OPTIONS = [
+	'hub', 'nick', 'password', 'desc', 'active', 'clientIP', 'auto_reconnect',
+	'follow_redirects'
+];
+
+/**
+ * Constructor for the web front end. Owns a HubManager, a download queue
+ *  per hub and a chat log, and serves opts.site_dir, finished downloads
+ *  under /downloads and a JSON API under /api. Downloads can be played
+ *  while they arrive from /api/transfers/<id>/stream. Hub events reach the
+ *  page through server-sent events on /api/events, each a JSON object:
+ *
+ *  hub (id, state, name), hubRemoved (id), chat (a ChatLog entry; the last
+ *  lines of every hub are replayed on connect), userJoin, userPart and
+ *  userUpdate (user), searchResult (search, hub, result), transfer (a
+ *  download or upload, see server_download() and server_upload()) and
+ *  transferRemoved (id).
+ *
+ * @class NmdcServer
+ * @constructor
+ * @param {Object} options port, host (address to listen on, default
+ *  loopback), site_dir, download_dir, data_dir (queues and chat logs), hub
+ *  (options for every hub, as for HubManager) and hubs (hub options by id,
+ *  connected on start)
+ */
+function NmdcServer(options) {
+
+	// Simulate calling constructor with 'new' if it was omitted
+	if (!(this instanceof NmdcServer)) {
+		return new NmdcServer(options);
+	}
+
+	var self = this;
+
+	// Handlers
+	this.onError = function(e){};
+
+	this.opts = {
+		port: 8080,
+		host: '127.0.0.1',
+		site_dir: path.join(__dirname, 'site'),
+		download_dir: 'downloads',
+		data_dir: 'data',
+		hub: {},
+		hubs: {}
+	};
+	if (typeof(options) !== 'undefined') {
+		for (var i in options) {
+			this.opts[i] = options[i];
+		}
+	}
+
+	this.clients = [];
+	this.joining = []; // event streams still replaying chat: res and backlog
+	this.streams = []; // /api/transfers/<id>/stream requests: res and entry
+	this.queues = {};
+	this.searches = {};
+	this.uploads = [];
+	this.lists = {}; // file lists opened in the browser, by hub and nick
+	this.http = null;
+	this._progress = {};
+	this._pinger = false;
+
+	this.manager = new HubManager(this.opts.hub);
+	this.chatlog = new ChatLog({ dir: path.join(this.opts.data_dir, 'chat') });
+	this.server_hook();
+
+	this.app = express();
+	this.app.use(function(req, res, next) {
+		self.server_guard(req, res, next);
+	});
+	this.app.use('/api', server_body);
+	this.server_routes();
+	this.app.use('/downloads', nmdc_static.serve(this.opts.download_dir, {
+		filter: function(name) {
+			return path.extname(name) !== '.dctmp'; // still downloading
+		}
+	}));
+	this.app.use(nmdc_static.serve(this.opts.site_dir));
+}
+
+/**
+ * Start listening, and connect to the hubs in opts.hubs.
+ *
+ * @param {Function} cb Callback(err) once listening
+ * @return {NmdcServer} Returns self for chained calls
+ */
+NmdcServer.prototype.listen = function(cb) {
+	var self = this;
+	var done = (typeof(cb) === 'function') ? cb : function(err) {
+		if (err) {
+			self.onError(err);
+		}
+	};
+
+	try {
+		fs.mkdirSync(path.join(this.opts.data_dir, 'chat'), { recursive: true });
+		fs.mkdirSync(this.opts.download_dir, { recursive: true });
+	} catch (ex) {
+		return done(ex);
+	}
+
+	this.http = this.app.listen(this.opts.port, this.opts.host);
+	this.http.once('error', done);
+	this.http.once('listening', function() {
+		self.http.removeListener('error', done);
+		self._pinger = setInterval(function() {
+			// Keeps proxies from closing idle event streams
+			self.clients.forEach(function(res) {
+				res.write(':\n\n');
+			});
+		}, NMDC_JS_SERVER_PING_INTERVAL);
+		for (var id in self.opts.hubs) {
+			try {
+				self.addHub(id, self.opts.hubs[id]);
+			} catch (ex) {
+				self.onError(ex);
+			}
+		}
+		done(null);
+	});
+	return this;
+};
+
+/**
+ * Disconnect from every hub, save the queues and stop listening.
+ *
+ * @param {Function} cb Callback once closed (optional)
+ * @return {NmdcServer} Returns self for chained calls
+ */
+NmdcServer.prototype.close = function(cb) {
+	var self = this;
+	clearInterval(this._pinger);
+	this._pinger = false;
+	for (var id in this.queues) {
+		this.queues[id].stop();
+	}
+	this.manager.disconnect();
+	this.clients.forEach(function(res) {
+		res.end();
+	});
+	this.clients = [];
+	this.joining.forEach(function(c) {
+		c.res.end();
+	});
+	this.joining = [];
+	this.streams.forEach(function(c) {
+		c.res.destroy();
+	});
+	this.chatlog.close(function() {
+		if (self.http === null) {
+			return (typeof(cb) === 'function') && cb();
+		}
+		self.http.close(function() {
+			self.http = null;
+			if (typeof(cb) === 'function') {
+				cb();
+			}
+		});
+	});
+	return this;
+};
+
+/**
+ * Connect to a hub, with a download queue of its own.
+ *
+ * @param {String} id Name for the hub
+ * @param {Object} options Hub options, as for HubManager.addHub()
+ * @return {Nmdc} The hub connection
+ */
+NmdcServer.prototype.addHub = function(id, options) {
+	var self = this;
+	var hub = this.manager.addHub(id, options);
+	this.chatlog.attach(hub, id);
+
+	var queue = new DownloadQueue(hub, {
+		file: path.join(this.opts.data_dir, 'queue-'+encodeURIComponent(id)+'.json'),
+		dir: this.opts.download_dir
+	});
+	var update = function(entry) {
+		self.server_progress(entry.id, self.server_download(id, entry));
+	};
+	queue.onAdded = update;
+	queue.onProgress = update;
+	queue.onComplete = update;
+	queue.onFailed = update;
+	queue.onError = function(e) {
+		self.onError(e);
+	};
+	this.queues[id] = queue;
+	queue.start(function(err) {
+		if (err) {
+			self.onError(err);
+		}
+		queue.entries.forEach(update);
+	});
+
+	hub.onHubNameChange = function(name) {
+		self.server_broadcast('hub', server_hub(id, hub));
+	};
+	hub.onTransferProgress = function(peer, transfer) {
+		if (transfer.direction === 'upload') {
+			self.server_upload(id, transfer);
+		}
+	};
+	hub.onTransferComplete = function(peer, transfer) {
+		if (transfer.direction === 'upload') {
+			self.server_upload(id, transfer);
+		}
+	};
+	return hub;
+};
+
+/**
+ * Disconnect from a hub. Its queue is saved and picks up again if the hub
+ *  is added back.
+ *
+ * @param {String} id Hub name
+ * @return {NmdcServer} Returns self for chained calls
+ */
+NmdcServer.prototype.removeHub = function(id) {
+	var self = this;
+	this.manager.removeHub(id);
+	for (var key in this.lists) {
+		if (key.split('\x00')[0] === id) {
+			delete this.lists[key];
+		}
+	}
+	this.queues[id].entries.forEach(function(entry) {
+		self.server_broadcast('transferRemoved', { id: entry.id });
+	});
+	this.queues[id].stop();
+	delete this.queues[id];
+	this.server_broadcast('hubRemoved', { id: id });
+	return this;
+};
+
+// #################
+// Internal
+// #################
+
+NmdcServer.prototype.server_hook = function() {
+	var self = this;
+	var m = this.manager;
+
+	m.onStateChange = function(id, state) {
+		self.server_broadcast('hub', server_hub(id, m.hubs[id]));
+	};
+	m.onUserJoin = function(user) {
+		self.server_broadcast('userJoin', server_user(user));
+	};
+	m.onUserPart = function(user) {
+		self.server_broadcast('userPart', server_user(user));
+	};
+	m.onUserUpdate = function(user, id, changedFields) {
+		self.server_broadcast('userUpdate', server_user(user));
+	};
+	this.chatlog.onEntry = function(entry) {
+		self.server_broadcast('chat', entry);
+	};
+	this.chatlog.onError = function(e) {
+		self.onError(e);
+	};
+};
+
+NmdcServer.prototype.server_guard = function(req, res, next) {
+	// Only pages served from here may use the server. Another site's page
+	//  shows up through its Origin, or through a Host naming its own domain
+	//  when that domain is made to resolve to us.
+	var host = req.headers.host || '';
+	var origin = req.headers.origin;
+	if (origin && origin !== 'http://'+host && origin !== 'https://'+host) {
+		return res.status(403).json({ error: 'Cross-origin requests are not allowed' });
+	}
+	if (server_loopback(this.opts.host) &&
+		!server_loopback(host.replace(/:\d+$/, '').replace(/^\[(.*)\]$/, '$1'))) {
+		return res.status(403).json({ error: 'Unexpected host '+host });
+	}
+	next();
+};
+
+NmdcServer.prototype.server_routes = function() {
+	var self = this;
+	var app = this.app;
+	var m = this.manager;
+
+	app.get('/api/events', function(req, res) {
+		self.server_events(req, res);
+	});
+
+	app.get('/api/hubs', server_api(function(req) {
+		return m.hubIds.map(function(id) {
+			return server_hub(id, m.hubs[id]);
+		});
+	}));
+
+	app.post('/api/connect', server_api(function(req) {
+		var id = server_string(req.body, 'id');
+		var o = {};
+		SERVER_HUB_OPTIONS.forEach(function(key) {
+			if (key in req.body) {
+				o[key] = req.body[key];
+			}
+		});
+		self.addHub(id, o);
+		return server_hub(id, m.hubs[id]);
+	}));
+
+	app.post('/api/disconnect', server_api(function(req) {
+		self.removeHub(server_string(req.body, 'id'));
+		return {};
+	}));
+
+	app.post('/api/say', server_api(function(req) {
+		var message = server_string(req.body, 'message');
+		if (typeof(req.body.hub) === 'string') {
+			m.getHub(req.body.hub).say(message);
+		} else {
+			m.say(message);
+		}
+		return {};
+	}));
+
+	app.post('/api/pm', server_api(function(req) {
+		var nick = server_string(req.body, 'nick');
+		var message = server_string(req.body, 'message');
+		var id = m.pm(nick, message,
+			(typeof(req.body.hub) === 'string') ? req.body.hub : undefined);
+		// The hub does not echo private messages back to us
+		self.chatlog.add({
+			hub: id, type: 'private', nick: m.hubs[id].opts.nick, peer: nick,
+			message: message
+		});
+		return { hub: id };
+	}));
+
+	app.get('/api/users', server_api(function(req) {
+		return m.getUsers().map(server_user);
+	}));
+
+	app.post('/api/search', server_api(function(req) {
+		var params = {};
+		['query', 'type', 'tth'].forEach(function(key) {
+			if (typeof(req.body[key]) === 'string' && req.body[key].length) {
+				params[key] = req.body[key];
+			}
+		});
+		['minSize', 'maxSize'].forEach(function(key) {
+			if (typeof(req.body[key]) === 'number') {
+				params[key] = req.body[key];
+			}
+		});
+		var handle = m.search(params);
+		self.searches[handle.token] = handle;
+		handle.onResult = function(result) {
+			self.server_broadcast('searchResult', {
+				search: handle.token,
+				hub: result.hubId,
+				result: result
+			});
+		};
+		handle.onExpire = function() {
+			delete self.searches[handle.token];
+		};
+		return { search: handle.token };
+	}));
+
+	app.get('/api/search/:token', server_api(function(req) {
+		var handle = self.searches[req.params.token];
+		if (! handle) {
+			throw new Error('No such search');
+		}
+		return handle.results;
+	}));
+
+	app.post('/api/download', server_api(function(req) {
+		var id = server_string(req.body, 'hub');
+		var nick = server_string(req.body, 'nick');
+		var file = (typeof(req.body.path) === 'string') ? req.body.path : '';
+		if (!(id in self.queues)) {
+			throw new Error("No hub '"+id+"'");
+		}
+		if (req.body.folder) {
+			return self.server_downloadfolder(id, nick, file);
+		}
+		var tth = (typeof(req.body.tth) === 'string') ? req.body.tth : '';
+		var target = path.join(self.opts.download_dir,
+			server_localname(file.split(/[\\\/]/).pop() || tth));
+		return new Promise(function(resolve, reject) {
+			self.server_target(target, function(target) {
+				try {
+					var entry = self.queues[id].add({
+						nick: nick,
+						path: file,
+						tth: tth,
+						size: (typeof(req.body.size) === 'number') ? req.body.size : -1,
+						target: target
+					});
+				} catch (ex) {
+					return reject(ex);
+				}
+				resolve([self.server_download(id, entry)]);
+			});
+		});
+	}));
+
+	app.get('/api/filelist', function(req, res) {
+		var id = req.query.hub;
+		var nick = req.query.nick;
+		if (typeof(id) !== 'string' || !(id in m.hubs) || typeof(nick) !== 'string') {
+			return res.status(400).json({ error: 'Missing hub or nick' });
+		}
+		m.hubs[id].getFileList(nick).then(function(list) {
+			var key = id+'\x00'+nick;
+			delete self.lists[key];
+			self.lists[key] = list;
+			var keys = Object.keys(self.lists);
+			if (keys.length > NMDC_JS_SERVER_MAX_LISTS) {
+				delete self.lists[keys[0]]; // least recently opened
+			}
+			res.json({
+				hub: id,
+				nick: nick,
+				cid: list.cid,
+				generator: list.generator,
+				size: list.getSize(),
+				root: server_filetree(list.root)
+			});
+		}, function(err) {
+			res.status(502).json({ error: err.message });
+		});
+	});
+
+	app.get('/api/transfers', server_api(function(req) {
+		var ret = [];
+		for (var id in self.queues) {
+			ret = ret.concat(self.queues[id].entries.map(function(entry) {
+				return self.server_download(id, entry);
+			}));
+		}
+		return ret.concat(self.uploads);
+	}));
+
+	app.get('/api/transfers/:id/stream', function(req, res) {
+		for (var id in self.queues) {
+			var entry = self.queues[id].find(req.params.id);
+			if (entry !== null) {
+				return self.server_stream(req, res, self.queues[id], entry);
+			}
+		}
+		res.status(404).json({ error: 'No such transfer' });
+	});
+
+	app.post('/api/transfers/remove', server_api(function(req) {
+		var tid = server_string(req.body, 'id');
+		for (var id in self.queues) {
+			if (self.queues[id].remove(tid)) {
+				self.server_broadcast('transferRemoved', { id: tid });
+				return {};
+			}
+		}
+		throw new Error('No such transfer');
+	}));
+};
+
+NmdcServer.prototype.server_downloadfolder = function(id, nick, dir) {
+	// Queue every file below a directory of a list opened through
+	//  /api/filelist, keeping the directory layout
+	var self = this;
+	var list = this.lists[id+'\x00'+nick];
+	var folder = list ? list.find(dir) : null;
+	if (! folder || ! folder.isDir) {
+		throw new Error('Open the file list of '+nick+' first');
+	}
+	var queue = this.queues[id];
+	var base = path.join(this.opts.download_dir, server_localname(folder.name || nick));
+	var files = [];
+	var walk = function(entry, local) {
+		for (var name in entry.children) {
+			var child = entry.children[name];
+			var target = path.join(local, server_localname(name));
+			if (child.isDir) {
+				walk(child, target);
+			} else {
+				files.push({ entry: child, target: target });
+			}
+		}
+	};
+	walk(folder, base);
+
+	// One at a time, so each target is queued before looking for the next
+	var ret = [];
+	return new Promise(function(resolve, reject) {
+		var next = function(i) {
+			if (i === files.length) {
+				return resolve(ret);
+			}
+			self.server_target(files[i].target, function(target) {
+				var child = files[i].entry;
+				try {
+					ret.push(self.server_download(id, queue.add({
+						nick: nick,
+						path: child.path,
+						tth: child.tth,
+						size: child.size,
+						target: target
+					})));
+				} catch (ex) {
+					return reject(ex);
+				}
+				next(i + 1);
+			});
+		};
+		next(0);
+	});
+};
+
+NmdcServer.prototype.server_stream = function(req, res, queue, entry) {
+	// Send a file while it downloads, marking it for preview. Bytes are read
+	//  from the temp file as far as the queue has them in order from the
+	//  start; the response then waits for more, so a player can keep going.
+	var self = this;
+	if (entry.state === 'done') {
+		return fs.stat(entry.target, function(err, st) {
+			if (err || !st.isFile()) {
+				return res.status(404).json({ error: 'File not found' });
+			}
+			nmdc_static.sendFile(req, res, entry.target, st);
+		});
+	}
+	var size = entry.size;
+	if (size < 0) {
+		return res.status(409).json({ error: 'Size not known yet' });
+	}
+
+	var h = {
+		'Content-Type': nmdc_static.contentType(entry.target),
+		'Accept-Ranges': 'bytes',
+		'Cache-Control': 'no-store',
+		'X-Content-Type-Options': 'nosniff'
+	};
+	var start = 0, end = size - 1, status = 200;
+	var r = req.headers.range ? nmdc_static.parseRange(req.headers.range, size) : null;
+	if (r === false) {
+		h['Content-Range'] = 'bytes */'+size;
+		res.writeHead(416, h);
+		return res.end();
+	}
+	if (r !== null) {
+		start = r.start;
+		end = r.end;
+		status = 206;
+		h['Content-Range'] = 'bytes '+start+'-'+end+'/'+size;
+	}
+	h['Content-Length'] = Math.max(0, end - start + 1);
+	res.writeHead(status, h);
+	if (req.method === 'HEAD' || end < start) {
+		return res.end();
+	}
+
+	res.flushHeaders(); // the first bytes may be a while
+	queue.preview(entry.id);
+	var stream = { res: res, entry: entry };
+	this.streams.push(stream);
+	var pos = start;
+	var timer = false;
+	var closed = false;
+	var wait = function() {
+		timer = setTimeout(next, NMDC_JS_SERVER_STREAM_POLL);
+	};
+	var next = function() {
+		timer = false;
+		if (closed) {
+			return;
+		}
+		if (pos > end) {
+			return res.end();
+		}
+		if (entry.state === 'failed' || queue.entries.indexOf(entry) === -1) {
+			return res.destroy();
+		}
+		var length = Math.min(queue.available(entry), end + 1) - pos;
+		if (length <= 0) {
+			return wait();
+		}
+		server_read(entry, pos, Math.min(length, NMDC_JS_SERVER_STREAM_CHUNK), function(err, data) {
+			if (closed) {
+				return;
+			}
+			// The temp file goes away or shrinks when the download completes or
+			//  starts over
+			if (err && err.code !== 'ENOENT') {
+				return res.destroy();
+			}
+			if (err || !data.length) {
+				return wait();
+			}
+			pos += data.length;
+			if (res.write(data)) {
+				next();
+			} else {
+				res.once('drain', next);
+			}
+		});
+	};
+	res.on('close', function() {
+		closed = true;
+		clearTimeout(timer);
+		var idx = self.streams.indexOf(stream);
+		if (idx !== -1) {
+			self.streams.splice(idx, 1);
+		}
+		// Back in line with the other downloads once nobody is watching
+		if (! self.streams.some(function(c) { return c.entry === entry; })) {
+			queue.preview(entry.id, false);
+		}
+	});
+	next();
+};
+
+NmdcServer.prototype.server_target = function(target, cb) {
+	// cb(path) with a local path no queued download and no existing file is
+	//  using, as 'name (1).ext' and so on. The queues are checked again in
+	//  the same tick as cb, so queueing the download there keeps it unique.
+	var self = this;
+	var ext = path.extname(target);
+	var stem = target.substr(0, target.length - ext.length);
+	var queued = function(file) {
+		for (var id in self.queues) {
+			if (self.queues[id].entries.some(function(e) { return e.target === file; })) {
+				return true;
+			}
+		}
+		return false;
+	};
+	var attempt = function(i) {
+		var file = path.resolve(i ? stem+' ('+i+')'+ext : target);
+		if (queued(file)) {
+			return attempt(i + 1);
+		}
+		fs.access(file, function(err) {
+			if (! err) {
+				return attempt(i + 1);
+			}
+			fs.access(file+'.dctmp', function(err) {
+				if (! err || queued(file)) {
+					return attempt(i + 1);
+				}
+				cb(file);
+			});
+		});
+	};
+	attempt(0);
+};
+
+NmdcServer.prototype.server_events = function(req, res) {
+	var self = this;
+	var m = this.manager;
+	res.writeHead(200, {
+		'Content-Type': 'text/event-stream',
+		'Cache-Control': 'no-cache',
+		'Connection': 'keep-alive'
+	});
+	var send = function(type, data) {
+		res.write('event: '+type+'\ndata: '+JSON.stringify(data)+'\n\n');
+	};
+
+	// Catch up with what happened before the page opened
+	m.hubIds.forEach(function(id) {
+		send('hub', server_hub(id, m.hubs[id]));
+	});
+	m.getUsers().forEach(function(user) {
+		send('userJoin', server_user(user));
+	});
+	for (var id in this.queues) {
+		this.queues[id].entries.forEach(function(entry) {
+			send('transfer', self.server_download(id, entry));
+		});
+	}
+	// Events broadcast while the chat is read back wait in the backlog
+	var pending = m.hubIds.length;
+	var joining = { res: res, backlog: [] };
+	var closed = false;
+	var ready = function() {
+		var idx = self.joining.indexOf(joining);
+		if (idx !== -1) {
+			self.joining.splice(idx, 1);
+		}
+		if (closed) {
+			return;
+		}
+		joining.backlog.forEach(function(msg) {
+			res.write(msg);
+		});
+		self.clients.push(res);
+	};
+	if (! pending) {
+		ready();
+	} else {
+		this.joining.push(joining);
+	}
+	m.hubIds.forEach(function(id) {
+		self.chatlog.replay(id, NMDC_JS_SERVER_REPLAY, function(err, entries) {
+			if (! closed) {
+				(entries || []).forEach(function(entry) {
+					send('chat', entry);
+				});
+			}
+			if (--pending === 0) {
+				ready();
+			}
+		});
+	});
+
+	req.on('close', function() {
+		closed = true;
+		var idx = self.clients.indexOf(res);
+		if (idx !== -1) {
+			self.clients.splice(idx, 1);
+		}
+		idx = self.joining.indexOf(joining);
+		if (idx !== -1) {
+			self.joining.splice(idx, 1);
+		}
+	});
+};
+
+NmdcServer.prototype.server_broadcast = function(type, data) {
+	var msg = 'event: '+type+'\ndata: '+JSON.stringify(data)+'\n\n';
+	this.clients.forEach(function(res) {
+		res.write(msg);
+	});
+	this.joining.forEach(function(c) {
+		c.backlog.push(msg);
+	});
+	return this;
+};
+
+NmdcServer.prototype.server_progress = function(id, data) {
+	// Progress fires for every chunk; pass on a few updates a second, but
+	//  never hold back a change of state
+	var self = this;
+	var last = this._progress[id];
+	var now = Date.now();
+	if (last && last.data.state === data.state &&
+		now - last.time < NMDC_JS_SERVER_PROGRESS_INTERVAL) {
+		last.data = data;
+		if (last.timer === false) {
+			last.timer = setTimeout(function() {
+				last.timer = false;
+				last.time = Date.now();
+				self.server_broadcast('transfer', last.data);
+			}, NMDC_JS_SERVER_PROGRESS_INTERVAL - (now - last.time));
+		}
+		return this;
+	}
+	if (last) {
+		clearTimeout(last.timer);
+	}
+	this._progress[id] = { time: now, data: data, timer: false };
+	this.server_broadcast('transfer', data);
+	return this;
+};
+
+NmdcServer.prototype.server_upload = function(id, transfer) {
+	var data = {
+		id: 'up-'+id+'-'+transfer.nick+'-'+transfer.ident,
+		hub: id,
+		direction: 'upload',
+		nick: transfer.nick,
+		name: transfer.ident.split(/[\\\/]/).pop(),
+		size: transfer.size,
+		done: transfer.received,
+		state: (transfer.received === transfer.size) ? 'done' : 'running',
+		error: ''
+	};
+	this.uploads = this.uploads.filter(function(u) { return u.id !== data.id; });
+	if (data.state !== 'done') {
+		this.uploads.push(data);
+	}
+	return this.server_progress(data.id, data);
+};
+
+NmdcServer.prototype.server_download = function(id, entry) {
+	// Finished files can be opened from /downloads
+	var url = '';
+	var rel = path.relative(path.resolve(this.opts.download_dir), entry.target);
+	if (entry.state === 'done' && rel.length && rel.split(path.sep)[0] !== '..' &&
+		!path.isAbsolute(rel)) {
+		url = 'downloads/'+rel.split(path.sep).map(encodeURIComponent).join('/');
+	}
+	return {
+		id: entry.id,
+		hub: id,
+		direction: 'download',
+		name: path.basename(entry.target),
+		target: entry.target,
+		tth: entry.tth,
+		size: entry.size,
+		done: (entry.state === 'done') ? entry.size : entry.downloaded,
+		sources: entry.sources.map(function(s) { return s.nick; }),
+		available: this.queues[id] ? this.queues[id].available(entry) : 0,
+		preview: entry.preview,
+		state: entry.state,
+		error: entry.error,
+		url: url
+	};
+};
+
+// #################
+// Helpers
+// #################
+
+var server_body = function(req, res, next) {
+	// JSON request bodies, without depending on a newer express
+	req.body = {};
+	if (req.method !== 'POST') {
+		return next();
+	}
+	// Anything else could be sent by a form or script on another site
+	//  without asking first (no CORS preflight)
+	if ((req.headers['content-type'] || '').split(';')[0].trim().toLowerCase() !== 'application/json') {
+		return res.status(415).json({ error: 'Expected Content-Type: application/json' });
+	}
+	var chunks = [];
+	var length = 0;
+	req.on('data', function(chunk) {
+		length += chunk.length;
+		if (length > NMDC_JS_SERVER_MAX_BODY) {
+			res.status(413).json({ error: 'Request too large' });
+			req.destroy();
+			return;
+		}
+		chunks.push(chunk);
+	});
+	req.on('end', function() {
+		if (length > NMDC_JS_SERVER_MAX_BODY) {
+			return;
+		}
+		try {
+			var body = length ? JSON.parse(Buffer.concat(chunks).toString('utf8')) : {};
+			if (body === null || typeof(body) !== 'object' || Array.isArray(body)) {
+				throw new Error('Expected a JSON object');
+			}
+			req.body = body;
+		} catch (ex) {
+			return res.status(400).json({ error: 'Invalid request ('+ex.message+')' });
+		}
+		next();
+	});
+};
+
+var server_loopback = function(host) {
+	return host === 'localhost' || host === '::1' || /^127\.\d+\.\d+\.\d+$/.test(host);
+};
+
+var server_api = function(fn) {
+	// Errors thrown by a handler are the client's fault
+	//  (or rejected, for handlers returning a promise)
+	return function(req, res) {
+		var fail = function(err) {
+			res.status(400).json({ error: err.message });
+		};
+		try {
+			var ret = fn(req);
+		} catch (ex) {
+			return fail(ex);
+		}
+		if (ret && typeof(ret.then) === 'function') {
+			ret.then(function(data) {
+				res.json(data);
+			}, fail);
+		} else {
+			res.json(ret);
+		}
+	};
+};
+
+var server_string = function(body, key) {
+	if (typeof(body[key]) !== 'string' || ! body[key].length) {
+		throw new Error("Missing '"+key+"'");
+	}
+	return body[key];
+};
+
+var server_hub = function(id, hub) {
+	return {
+		id: id,
+		name: hub.getHubName(),
+		nick: hub.opts.nick,
+		state: hub.getState(),
+		connected: hub.getState() === hub.STATE_LOGGED_IN,
+		reconnect: hub.getReconnectInfo()
+	};
+};
+
+var server_user = function(agg) {
+	var first = agg.users[agg.hubIds[0]] || {};
+	return {
+		id: agg.id,
+		nick: agg.nick,
+		hubs: agg.hubIds,
+		share: agg.share,
+		ip: agg.ip,
+		isOp: agg.isOp,
+		isBot: !!first.isBot,
+		desc: first.desc || '',
+		client: ((first.client || '')+' '+(first.version || '')).trim(),
+		mode: first.mode || '',
+		slots: first.slots || 0,
+		connection: first.connection || '',
+		away: !!first.away
+	};
+};
+
+var server_localname = function(name) {
+	// Names come from other users; keep them inside the download directory
+	name = name.replace(/[\x00-\x1f\/\\:*?"<>|]/g, '_');
+	return (name === '' || name === '.' || name === '..') ? '_' : name;
+};
+
+var server_read = function(entry, pos, length, cb) {
+	// Read from a queued file, wherever it is at the moment
+	var file = (entry.state === 'done') ? entry.target : entry.target+'.dctmp';
+	fs.open(file, 'r', function(err, fd) {
+		if (err) {
+			return cb(err);
+		}
+		fs.read(fd, Buffer.alloc(length), 0, length, pos, function(err, n, buf) {
+			fs.close(fd, function() {
+				cb(err, err ? null : buf.slice(0, n));
+			});
+		});
+	});
+};
+
+var server_filetree = function(dir) {
+	return {
+		name: dir.name,
+		size: dir.size,
+		incomplete: dir.incomplete,
+		children: Object.keys(dir.children).sort().map(function(name) {
+			var entry = dir.children[name];
+			return entry.isDir ? server_filetree(entry) :
+				{ name: entry.name, size: entry.size, tth: entry.tth };
+		})
+	};
+};
+
+// #################
+// Exports
+// #################
+
+exports.NmdcServer = NmdcServer;
+
+// Run as 'node nmdc_server.js [config.json]'
+if (require.main === module) {
+	var config = process.argv[2] ?
+		JSON.parse(fs.readFileSync(process.argv[2], 'utf8')) : {};
+	var server = new NmdcServer(config);
+	server.onError = function(e) {
+		console.log(e.message);
+	};
+	server.listen(function(err) {
+		if (err) {
+			console.log('Failed to start ('+err.message+')');
+			process.exit(1);
+		}
+		console.log('Listening on http://'+server.opts.host+':'+server.opts.port+'/');
+	});
+	process.on('SIGINT', function() {
+		server.close(function() {
+			process.exit(0);
+		});
+	});
+}
@@ -0,0 +1,489 @@
+/* _  ___  _| _    * _
+  | )[ | )(_](_ *  |_)       Copyright (c) 2012-2016 -- the nmdc.js authors
+                 ._|
+Permission to use, copy, modify, and/or distribute this software for any
+  purpose with or without fee is hereby granted, provided that the above
+  copyright notice and this permission notice appear in all copies.
+*/
+
+"use strict";
+var fs = require('fs');
+var path = require('path');
+var nmdc_search = require('./nmdc_search.js');
+var nmdc_tth = require('./nmdc_tth.js');
+
+/**
+ * Constructor for the index of files we share. Entries are addressed by
+ *  their virtual path, using '\' as separator like the rest of the protocol.
+ *  Files can be added one by one, or found by walking shared directories
+ *  with refresh().
+ *
+ * @class Share
+ * @constructor
+ * @param {Object} options cache: path of the persistent hash cache
+ */
+function Share(options) {
+
+	// Simulate calling constructor with 'new' if it was omitted
+	if (!(this instanceof Share)) {
+		return new Share(options);
+	}
+
+	// Handlers
+	this.onChange = function(){};
+	this.onHashed = function(real, tth){};
+	this.onError  = function(e){};
+
+	this.opts = {
+		cache: ''
+	};
+	if (typeof(options) !== 'undefined') {
+		for (var i in options) {
+			this.opts[i] = options[i];
+		}
+	}
+
+	this.dirs = [];
+	this.hashes = null;
+	this.refreshing = false;
+	this._refreshWaiters = [];
+
+	this.clear();
+}
+
+/**
+ * Remove everything from the share.
+ *
+ * @return {Share} Returns self for chained calls
+ */
+Share.prototype.clear = function() {
+	this.root = share_newdir('', '');
+	this.tths = Object.create(null);
+	this.size = 0;
+	this.count = 0;
+	return this;
+};
+
+/**
+ * Add a file to the share, creating its parent directories as needed.
+ *  Adding a path twice replaces the earlier entry; a directory can't be
+ *  replaced by a file.
+ *
+ * @param {String} path Virtual path, e.g. 'Music\Artist\song.mp3'
+ * @param {Number} size File size in bytes
+ * @param {String} tth Base32 TTH root, or empty string if not hashed
+ * @param {String} real Local filesystem path the file is served from
+ * @return {Object} The new file entry
+ */
+Share.prototype.addFile = function(path, size, tth, real) {
+	var parts = path.split('\\').filter(function(p) { return p.length; });
+	if (! parts.length) {
+		throw new Error("Invalid share path '" + path + "'");
+	}
+	var name = parts.pop();
+
+	var dir = this.root;
+	for (var i in parts) {
+		if (!(parts[i] in dir.children)) {
+			dir.children[parts[i]] = share_newdir(parts[i], dir.path + parts[i] + '\\');
+		} else if (! dir.children[parts[i]].isDir) {
+			throw new Error("Share path '" + path + "' crosses a file");
+		}
+		dir = dir.children[parts[i]];
+	}
+
+	// Replace an earlier entry here rather than through removeFile(), which
+	//  would prune dir if the file was all it held
+	var old = dir.children[name];
+	if (old && old.isDir) {
+		throw new Error("Share path '" + path + "' is a directory");
+	}
+	if (old) {
+		if (this.tths[old.tth] === old) {
+			delete this.tths[old.tth];
+		}
+		this.size -= old.size;
+		this.count--;
+	}
+
+	var entry = {
+		name: name,
+		path: dir.path + name,
+		size: size,
+		tth: tth || '',
+		real: real || '',
+		isDir: false
+	};
+	dir.children[name] = entry;
+	if (entry.tth.length) {
+		this.tths[entry.tth] = entry;
+	}
+	this.size += size;
+	this.count++;
+	return entry;
+};
+
+/**
+ * Remove a file from the share. Directories left empty are removed too.
+ *
+ * @param {String} path Virtual path of the file
+ * @return {Boolean} True if the file was shared
+ */
+Share.prototype.removeFile = function(path) {
+	var parts = path.split('\\').filter(function(p) { return p.length; });
+	var dirs = [this.root];
+	for (var i = 0; i < parts.length - 1; i++) {
+		var next = dirs[i].children[parts[i]];
+		if (!next || !next.isDir) {
+			return false;
+		}
+		dirs.push(next);
+	}
+
+	var entry = dirs[dirs.length - 1].children[parts[parts.length - 1]];
+	if (!entry || entry.isDir) {
+		return false;
+	}
+	delete dirs[dirs.length - 1].children[entry.name];
+	if (this.tths[entry.tth] === entry) {
+		delete this.tths[entry.tth];
+	}
+	this.size -= entry.size;
+	this.count--;
+
+	for (var j = dirs.length - 1; j > 0; j--) {
+		if (Object.keys(dirs[j].children).length) {
+			break;
+		}
+		delete dirs[j-1].children[dirs[j].name];
+	}
+	return true;
+};
+
+/**
+ * Look up a file or directory by virtual path.
+ *
+ * @param {String} path Virtual path, '\' or '/' separated
+ * @return {Object} The entry, or null if it is not shared
+ */
+Share.prototype.findByPath = function(path) {
+	var parts = path.split(/[\\\/]/).filter(function(p) { return p.length; });
+	var entry = this.root;
+	for (var i in parts) {
+		if (!entry.isDir || !(parts[i] in entry.children)) {
+			return null;
+		}
+		entry = entry.children[parts[i]];
+	}
+	return entry;
+};
+
+/**
+ * Look up a file by TTH root.
+ *
+ * @param {String} tth Base32 TTH root
+ * @return {Object} The file entry, or null if it is not shared
+ */
+Share.prototype.findByTTH = function(tth) {
+	return (tth in this.tths) ? this.tths[tth] : null;
+};
+
+/**
+ * Get the total size of all shared files.
+ *
+ * @return {Number} Size in bytes
+ */
+Share.prototype.getSize = function() {
+	return this.size;
+};
+
+/**
+ * Add a local directory to the share. Its contents are indexed by the next
+ *  refresh().
+ *
+ * @param {String} real Local directory path
+ * @param {String} name Virtual name of the directory, defaults to its basename
+ * @return {Share} Returns self for chained calls
+ */
+Share.prototype.addDirectory = function(real, name) {
+	real = path.resolve(real);
+	this.dirs.push({
+		real: real,
+		name: name || path.basename(real)
+	});
+	return this;
+};
+
+/**
+ * Remove a local directory from the share. Its contents are dropped by the
+ *  next refresh().
+ *
+ * @param {String} real Local directory path
+ * @return {Share} Returns self for chained calls
+ */
+Share.prototype.removeDirectory = function(real) {
+	real = path.resolve(real);
+	this.dirs = this.dirs.filter(function(d) { return d.real !== real; });
+	return this;
+};
+
+/**
+ * Walk the shared directories, hash new or modified files and rebuild the
+ *  index. Hashes are reused from the cache when a file's size and
+ *  modification time are unchanged. Fires onChange when done.
+ *
+ * @param {Function} cb Callback(err) on completion (optional)
+ * @return {Share} Returns self for chained calls
+ */
+Share.prototype.refresh = function(cb) {
+	var self = this;
+	if (typeof(cb) === 'function') {
+		this._refreshWaiters.push(cb);
+	}
+	if (this.refreshing) {
+		this._refreshAgain = true;
+		return this;
+	}
+	this.refreshing = true;
+	this._refreshAgain = false;
+
+	var done = function(err) {
+		self.refreshing = false;
+		if (self._refreshAgain) {
+			return self.refresh();
+		}
+		var waiters = self._refreshWaiters;
+		self._refreshWaiters = [];
+		waiters.forEach(function(w) { w(err || null); });
+	};
+
+	this.loadCache(function() {
+		var found = [];
+		var dirs = self.dirs.slice();
+		var next = function(i) {
+			if (i === dirs.length) {
+				return self.share_hashall(found, done);
+			}
+			share_walk(dirs[i].real, dirs[i].name, found, self.onError, function() {
+				next(i + 1);
+			});
+		};
+		next(0);
+	});
+	return this;
+};
+
+Share.prototype.share_hashall = function(found, cb) {
+	var self = this;
+	var fresh = Object.create(null);
+
+	var next = function(i) {
+		if (i < found.length) {
+			var f = found[i];
+			var cached = self.hashes[f.real];
+			if (cached && cached.size === f.size && cached.mtime === f.mtime) {
+				fresh[f.real] = cached;
+				return setImmediate(next, i + 1);
+			}
+			return nmdc_tth.hashFile(f.real, function(err, digest) {
+				if (err) {
+					self.onError(err);
+				} else if (digest.size !== f.size) {
+					self.onError(new Error("File '" + f.real + "' changed while hashing"));
+				} else {
+					fresh[f.real] = {
+						size: f.size,
+						mtime: f.mtime,
+						tth: digest.tth,
+						leaves: digest.leaves.toString('base64'),
+						blockSize: digest.blockSize
+					};
+					self.onHashed(f.real, digest.tth);
+				}
+				next(i + 1);
+			});
+		}
+
+		// Rebuild the index from scratch
+		self.clear();
+		found.forEach(function(f) {
+			if (!(f.real in fresh)) {
+				return;
+			}
+			var h = fresh[f.real];
+			try {
+				var entry = self.addFile(f.virt, h.size, h.tth, f.real);
+				entry.mtime = h.mtime;
+				entry.blockSize = h.blockSize;
+				entry.leaves = Buffer.from(h.leaves, 'base64');
+			} catch (ex) {
+				self.onError(ex);
+			}
+		});
+		self.hashes = fresh;
+		self.saveCache(function(err) {
+			self.onChange();
+			cb(err);
+		});
+	};
+	next(0);
+};
+
+/**
+ * Load the hash cache from disk, if one is configured. A missing or
+ *  unreadable cache is treated as empty.
+ *
+ * @param {Function} cb Callback() on completion
+ * @return {Share} Returns self for chained calls
+ */
+Share.prototype.loadCache = function(cb) {
+	var self = this;
+	if (this.hashes !== null) {
+		cb();
+		return this;
+	}
+	this.hashes = Object.create(null);
+	if (! this.opts.cache.length) {
+		cb();
+		return this;
+	}
+
+	fs.readFile(this.opts.cache, 'utf8', function(err, data) {
+		if (! err) {
+			try {
+				var parsed = JSON.parse(data);
+				for (var real in parsed.files) {
+					self.hashes[real] = parsed.files[real];
+				}
+			} catch (ex) {
+				self.onError(new Error('Ignoring corrupt hash cache ('+ex.message+')'));
+			}
+		} else if (err.code !== 'ENOENT') {
+			self.onError(err);
+		}
+		cb();
+	});
+	return this;
+};
+
+/**
+ * Write the hash cache to disk, if one is configured.
+ *
+ * @param {Function} cb Callback(err) on completion
+ * @return {Share} Returns self for chained calls
+ */
+Share.prototype.saveCache = function(cb) {
+	var self = this;
+	if (!this.opts.cache.length || this.hashes === null) {
+		cb(null);
+		return this;
+	}
+
+	// Write to a temporary file first so a crash can't truncate the cache
+	var tmp = this.opts.cache + '.tmp';
+	var data = JSON.stringify({ version: 1, files: this.hashes });
+	fs.writeFile(tmp, data, function(err) {
+		if (err) {
+			self.onError(err);
+			return cb(err);
+		}
+		fs.rename(tmp, self.opts.cache, function(err) {
+			if (err) {
+				self.onError(err);
+			}
+			cb(err || null);
+		});
+	});
+	return this;
+};
+
+/**
+ * Find shared files and directories matching a search.
+ *
+ * @param {Object} params Decoded search, as returned by nmdc_search.parse()
+ * @param {Number} limit Maximum number of entries to return
+ * @return {Array} Matching entries
+ */
+Share.prototype.search = function(params, limit) {
+	var ret = [];
+
+	if (params.type === nmdc_search.TYPES.tth) {
+		var entry = this.findByTTH(params.tth);
+		return (entry !== null && limit > 0) ? [entry] : [];
+	}
+
+	var walk = function(dir) {
+		for (var name in dir.children) {
+			if (ret.length >= limit) {
+				return;
+			}
+			var entry = dir.children[name];
+			if (nmdc_search.matchEntry(params, entry)) {
+				ret.push(entry);
+			}
+			if (entry.isDir) {
+				walk(entry);
+			}
+		}
+	};
+	walk(this.root);
+	return ret;
+};
+
+// #################
+// Helpers
+// #################
+
+var share_newdir = function(name, path) {
+	return {
+		name: name,
+		path: path,
+		children: Object.create(null),
+		isDir: true
+	};
+};
+
+// Collect { real, virt, size, mtime } for every regular file below a
+//  directory. Symbolic links are not followed.
+var share_walk = function(real, virt, found, onError, cb) {
+	fs.readdir(real, function(err, names) {
+		if (err) {
+			onError(err);
+			return cb();
+		}
+		names.sort();
+		var next = function(i) {
+			if (i === names.length) {
+				return cb();
+			}
+			var child = path.join(real, names[i]);
+			fs.lstat(child, function(err, st) {
+				if (err) {
+					onError(err);
+					next(i + 1);
+				} else if (st.isDirectory()) {
+					share_walk(child, virt + '\\' + names[i], found, onError, function() {
+						next(i + 1);
+					});
+				} else {
+					if (st.isFile()) {
+						found.push({
+							real: child,
+							virt: virt + '\\' + names[i],
+							size: st.size,
+							mtime: st.mtime.getTime()
+						});
+					}
+					next(i + 1);
+				}
+			});
+		};
+		next(0);
+	});
+};
+
+// #################
+// Exports
+// #################
+
+exports.Share = Share;
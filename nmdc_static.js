@@ -0,0 +1,299 @@
+/* _  ___  _| _    * _
+  | )[ | )(_](_ *  |_)       Copyright (c) 2012-2016 -- the nmdc.js authors
+                 ._|
+Permission to use, copy, modify, and/or distribute this software for any
+  purpose with or without fee is hereby granted, provided that the above
+  copyright notice and this permission notice appear in all copies.
+*/
+
+"use strict";
+var fs = require('fs');
+var path = require('path');
+
+// Content types by file extension
+var MIME_TYPES = {
+	html: 'text/html; charset=utf-8',
+	htm: 'text/html; charset=utf-8',
+	css: 'text/css; charset=utf-8',
+	js: 'application/javascript; charset=utf-8',
+	json: 'application/json; charset=utf-8',
+	txt: 'text/plain; charset=utf-8',
+	nfo: 'text/plain; charset=utf-8',
+	xml: 'application/xml',
+	pdf: 'application/pdf',
+	png: 'image/png',
+	jpg: 'image/jpeg',
+	jpeg: 'image/jpeg',
+	gif: 'image/gif',
+	bmp: 'image/bmp',
+	webp: 'image/webp',
+	svg: 'image/svg+xml',
+	ico: 'image/x-icon',
+	mp3: 'audio/mpeg',
+	ogg: 'audio/ogg',
+	oga: 'audio/ogg',
+	opus: 'audio/ogg',
+	flac: 'audio/flac',
+	wav: 'audio/wav',
+	m4a: 'audio/mp4',
+	aac: 'audio/aac',
+	mp4: 'video/mp4',
+	m4v: 'video/mp4',
+	webm: 'video/webm',
+	ogv: 'video/ogg',
+	mkv: 'video/x-matroska',
+	mov: 'video/quicktime',
+	avi: 'video/x-msvideo',
+	mpg: 'video/mpeg',
+	mpeg: 'video/mpeg',
+	zip: 'application/zip',
+	bz2: 'application/x-bzip2',
+	gz: 'application/gzip',
+	woff: 'font/woff',
+	woff2: 'font/woff2'
+};
+
+/**
+ * Create a request handler serving the files below a directory, usable with
+ *  http.createServer() or as express middleware. Only GET and HEAD are
+ *  answered. Paths are normalized and may not leave the directory, also
+ *  not through symlinks; names starting with a dot are never served.
+ *  Single byte ranges are supported, so media can be streamed and seeked.
+ *
+ * @param {String} root Directory to serve
+ * @param {Object} options index (file served for directories, default
+ *  'index.html') and filter (function(name) returning false for files not
+ *  to serve)
+ * @return {Function} Handler(req, res, next); without next, requests for
+ *  missing files are answered with 404
+ */
+var serve = function(root, options) {
+	var o = {
+		index: 'index.html',
+		filter: function(name) { return true; }
+	};
+	for (var i in options) {
+		o[i] = options[i];
+	}
+	root = path.resolve(root);
+
+	return function(req, res, next) {
+		var notFound = function() {
+			if (typeof(next) === 'function') {
+				return next();
+			}
+			static_error(res, 404, 'Not found');
+		};
+		if (req.method !== 'GET' && req.method !== 'HEAD') {
+			if (typeof(next) === 'function') {
+				return next();
+			}
+			res.setHeader('Allow', 'GET, HEAD');
+			return static_error(res, 405, 'Method not allowed');
+		}
+
+		var rel = static_path(req.url);
+		if (rel === null) {
+			return static_error(res, 400, 'Bad request');
+		}
+		var parts = rel.split('/').filter(function(p) { return p.length; });
+		if (parts.some(function(p) { return p[0] === '.'; })) {
+			return notFound();
+		}
+		var file = path.join.apply(path, [root].concat(parts));
+
+		static_resolve(root, file, function(err, real, st) {
+			if (err) {
+				return notFound();
+			}
+			if (st.isDirectory()) {
+				if (rel[rel.length - 1] !== '/') {
+					// Relative links in the index need the trailing slash. Under a
+					//  mount point, originalUrl is the URL the client asked for.
+					var url = req.originalUrl || req.url;
+					var q = url.indexOf('?');
+					res.writeHead(301, {
+						'Location': (q === -1) ? url+'/' : url.substr(0, q)+'/'+url.substr(q)
+					});
+					return res.end();
+				}
+				return static_resolve(root, path.join(real, o.index), function(err, real, st) {
+					if (err || !st.isFile()) {
+						return notFound();
+					}
+					sendFile(req, res, real, st);
+				});
+			}
+			if (!st.isFile() || !o.filter(path.basename(real))) {
+				return notFound();
+			}
+			sendFile(req, res, real, st);
+		});
+	};
+};
+
+/**
+ * Send a file, honoring Range, If-Modified-Since and If-None-Match.
+ *
+ * @param {IncomingMessage} req Request
+ * @param {ServerResponse} res Response
+ * @param {String} file Path of the file
+ * @param {fs.Stats} st Stats of the file
+ * @param {Object} headers Extra response headers (optional)
+ */
+var sendFile = function(req, res, file, st, headers) {
+	var size = st.size;
+	var etag = 'W/"'+size.toString(16)+'-'+st.mtime.getTime().toString(16)+'"';
+	var h = {
+		'Content-Type': contentType(file),
+		'Accept-Ranges': 'bytes',
+		'Last-Modified': st.mtime.toUTCString(),
+		'ETag': etag,
+		'X-Content-Type-Options': 'nosniff'
+	};
+	for (var i in headers) {
+		h[i] = headers[i];
+	}
+
+	if (req.headers['if-none-match'] === etag ||
+		(!req.headers['if-none-match'] && req.headers['if-modified-since'] &&
+		Date.parse(req.headers['if-modified-since']) >= Math.floor(st.mtime.getTime() / 1000) * 1000)) {
+		res.writeHead(304, h);
+		return res.end();
+	}
+
+	var start = 0, end = size - 1, status = 200;
+	var range = req.headers.range;
+	if (range && (!req.headers['if-range'] || req.headers['if-range'] === etag)) {
+		var r = parseRange(range, size);
+		if (r === false) {
+			h['Content-Range'] = 'bytes */'+size;
+			return static_error(res, 416, 'Range not satisfiable', h);
+		}
+		if (r !== null) {
+			start = r.start;
+			end = r.end;
+			status = 206;
+			h['Content-Range'] = 'bytes '+start+'-'+end+'/'+size;
+		}
+	}
+	h['Content-Length'] = Math.max(0, end - start + 1);
+	res.writeHead(status, h);
+
+	if (req.method === 'HEAD' || end < start) {
+		return res.end();
+	}
+	var input = fs.createReadStream(file, { start: start, end: end });
+	input.on('error', function() {
+		res.destroy();
+	});
+	res.on('close', function() {
+		input.destroy();
+	});
+	input.pipe(res);
+};
+
+/**
+ * Parse a Range header for a single byte range.
+ *
+ * @param {String} header Range header, e.g. 'bytes=0-1023'
+ * @param {Number} size Size of the resource
+ * @return {Object} start and end (inclusive); null if the header should be
+ *  ignored (malformed, or several ranges), false if it can't be satisfied
+ */
+var parseRange = function(header, size) {
+	var m = /^bytes=(\d*)-(\d*)$/.exec(header.trim());
+	if (m === null || (m[1] === '' && m[2] === '')) {
+		return null;
+	}
+	var start, end;
+	if (m[1] === '') {
+		// The last n bytes
+		start = Math.max(0, size - +m[2]);
+		end = size - 1;
+		if (+m[2] === 0) {
+			return false;
+		}
+	} else {
+		start = +m[1];
+		end = (m[2] === '') ? size - 1 : Math.min(+m[2], size - 1);
+		if (end < start) {
+			return (m[2] !== '' && +m[2] < start) ? null : false;
+		}
+	}
+	if (start >= size) {
+		return false;
+	}
+	return { start: start, end: end };
+};
+
+/**
+ * Get the Content-Type for a file name.
+ *
+ * @param {String} file File name or path
+ * @return {String} MIME type, application/octet-stream if unknown
+ */
+var contentType = function(file) {
+	var ext = path.extname(file).substr(1).toLowerCase();
+	return MIME_TYPES[ext] || 'application/octet-stream';
+};
+
+// #################
+// Helpers
+// #################
+
+var static_path = function(url) {
+	// Decoded, normalized path of a request URL, or null if it is malformed
+	var p = url.split('?')[0];
+	try {
+		p = decodeURIComponent(p);
+	} catch (ex) {
+		return null;
+	}
+	if (p[0] !== '/' || p.indexOf('\0') !== -1 || p.indexOf('\\') !== -1) {
+		return null;
+	}
+	return path.posix.normalize(p);
+};
+
+var static_resolve = function(root, file, cb) {
+	// Follow symlinks, but only to places inside root
+	fs.realpath(root, function(err, realRoot) {
+		if (err) {
+			return cb(err);
+		}
+		fs.realpath(file, function(err, real) {
+			if (err) {
+				return cb(err);
+			}
+			if (real !== realRoot && real.indexOf(realRoot + path.sep) !== 0) {
+				return cb(new Error('Outside of root'));
+			}
+			fs.stat(real, function(err, st) {
+				cb(err, real, st);
+			});
+		});
+	});
+};
+
+var static_error = function(res, status, message, headers) {
+	var h = { 'Content-Type': 'text/plain; charset=utf-8' };
+	for (var i in headers) {
+		if (i !== 'Content-Type' && i !== 'Content-Length') {
+			h[i] = headers[i];
+		}
+	}
+	h['Content-Length'] = Buffer.byteLength(message);
+	res.writeHead(status, h);
+	res.end(message);
+};
+
+// #################
+// Exports
+// #################
+
+exports.MIME_TYPES = MIME_TYPES;
+exports.serve = serve;
+exports.sendFile = sendFile;
+exports.parseRange = parseRange;
+exports.contentType = contentType;
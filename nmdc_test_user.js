@@ -30,7 +30,7 @@ hub.onConnect = function() {
 	else
 		hub.passiveSearch('F?F?0?1?2016');*/
     //hub.pm('black_mamba','charas chutiya hai',function(){})
-    hub.download('aldf');
+    hub.download('photon', 'DC\\setups\\remix\\md5sum.txt', 'md5sum.txt');
     //hub.pm('winchester',"sdascsc");
     //console.log(hub.search('winchester1200'));
 };
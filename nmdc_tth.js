@@ -0,0 +1,523 @@
+/* _  ___  _| _    * _
+  | )[ | )(_](_ *  |_)       Copyright (c) 2012-2016 -- the nmdc.js authors
+                 ._|
+Permission to use, copy, modify, and/or distribute this software for any
+  purpose with or without fee is hereby granted, provided that the above
+  copyright notice and this permission notice appear in all copies.
+*/
+
+"use strict";
+var fs = require('fs');
+
+// Smallest leaf block we keep for TTHL, and the most leaves we keep per file
+var NMDC_JS_TTHL_MIN_BLOCK = 64*1024;
+var NMDC_JS_TTHL_MAX_LEAVES = 512;
+
+var TTH_BASE_BLOCK = 1024;
+var BASE32_ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+
+// #################
+// Tiger
+// #################
+
+// 64-bit words are kept as [lo, hi] pairs of uint32s. T holds the four
+//  S-boxes back to back, R the a/b/c registers and X the message block.
+var T = new Uint32Array(1024*2);
+var R = new Uint32Array(6);
+var X = new Uint32Array(16);
+
+var RA = 0, RB = 2, RC = 4;
+
+var tiger_round = function(a, b, c, x, mul) {
+	R[c] ^= X[x];
+	R[c+1] ^= X[x+1];
+	var cl = R[c], ch = R[c+1];
+
+	// a -= t1[c_0] ^ t2[c_2] ^ t3[c_4] ^ t4[c_6]
+	var i0 = (cl & 255) << 1;
+	var i2 = (((cl >>> 16) & 255) << 1) + 512;
+	var i4 = ((ch & 255) << 1) + 1024;
+	var i6 = (((ch >>> 16) & 255) << 1) + 1536;
+	var tl = (T[i0] ^ T[i2] ^ T[i4] ^ T[i6]) >>> 0;
+	var th = (T[i0+1] ^ T[i2+1] ^ T[i4+1] ^ T[i6+1]) >>> 0;
+	var al = R[a];
+	R[a] = al - tl;
+	R[a+1] = R[a+1] - th - ((al < tl) ? 1 : 0);
+
+	// b += t4[c_1] ^ t3[c_3] ^ t2[c_5] ^ t1[c_7]
+	var i1 = (((cl >>> 8) & 255) << 1) + 1536;
+	var i3 = ((cl >>> 24) << 1) + 1024;
+	var i5 = (((ch >>> 8) & 255) << 1) + 512;
+	var i7 = (ch >>> 24) << 1;
+	tl = (T[i1] ^ T[i3] ^ T[i5] ^ T[i7]) >>> 0;
+	th = (T[i1+1] ^ T[i3+1] ^ T[i5+1] ^ T[i7+1]) >>> 0;
+	var bl = R[b] + tl;
+	var bh = R[b+1] + th + ((bl > 0xFFFFFFFF) ? 1 : 0);
+
+	// b *= mul
+	bl = (bl >>> 0) * mul;
+	R[b] = bl;
+	R[b+1] = (bh >>> 0) * mul + Math.floor(bl / 0x100000000);
+};
+
+var tiger_pass = function(a, b, c, mul) {
+	tiger_round(a, b, c, 0, mul);
+	tiger_round(b, c, a, 2, mul);
+	tiger_round(c, a, b, 4, mul);
+	tiger_round(a, b, c, 6, mul);
+	tiger_round(b, c, a, 8, mul);
+	tiger_round(c, a, b, 10, mul);
+	tiger_round(a, b, c, 12, mul);
+	tiger_round(b, c, a, 14, mul);
+};
+
+// X[i] -= (l, h)
+var x_sub = function(i, l, h) {
+	var xl = X[i];
+	l = l >>> 0;
+	X[i] = xl - l;
+	X[i+1] = X[i+1] - (h >>> 0) - ((xl < l) ? 1 : 0);
+};
+
+// X[i] += X[j]
+var x_add = function(i, j) {
+	var l = X[i] + X[j];
+	X[i+1] = X[i+1] + X[j+1] + ((l > 0xFFFFFFFF) ? 1 : 0);
+	X[i] = l;
+};
+
+// X[i] ^= X[j]
+var x_xor = function(i, j) {
+	X[i] ^= X[j];
+	X[i+1] ^= X[j+1];
+};
+
+var tiger_keyschedule = function() {
+	x_sub(0, X[14] ^ 0xA5A5A5A5, X[15] ^ 0xA5A5A5A5);
+	x_xor(2, 0);
+	x_add(4, 2);
+	x_sub(6, X[4] ^ ((~X[2]) << 19), X[5] ^ (((~X[3]) << 19) | ((~X[2]) >>> 13)));
+	x_xor(8, 6);
+	x_add(10, 8);
+	x_sub(12, X[10] ^ (((~X[8]) >>> 23) | ((~X[9]) << 9)), X[11] ^ ((~X[9]) >>> 23));
+	x_xor(14, 12);
+	x_add(0, 14);
+	x_sub(2, X[0] ^ ((~X[14]) << 19), X[1] ^ (((~X[15]) << 19) | ((~X[14]) >>> 13)));
+	x_xor(4, 2);
+	x_add(6, 4);
+	x_sub(8, X[6] ^ (((~X[4]) >>> 23) | ((~X[5]) << 9)), X[7] ^ ((~X[5]) >>> 23));
+	x_xor(10, 8);
+	x_add(12, 10);
+	x_sub(14, X[12] ^ 0x89ABCDEF, X[13] ^ 0x01234567);
+};
+
+// Compress one 64-byte block of buf at offset into the registers in R
+var tiger_compress = function(buf, offset) {
+	for (var i = 0; i < 16; i++) {
+		X[i] = buf.readUInt32LE(offset + i*4);
+	}
+	var al = R[0], ah = R[1], bl = R[2], bh = R[3], cl = R[4], ch = R[5];
+
+	tiger_pass(RA, RB, RC, 5);
+	tiger_keyschedule();
+	tiger_pass(RC, RA, RB, 7);
+	tiger_keyschedule();
+	tiger_pass(RB, RC, RA, 9);
+
+	// Feedforward: a ^= aa, b -= bb, c += cc
+	R[0] ^= al;
+	R[1] ^= ah;
+	var l = R[2];
+	R[2] = l - bl;
+	R[3] = R[3] - bh - ((l < bl) ? 1 : 0);
+	l = R[4] + cl;
+	R[5] = R[5] + ch + ((l > 0xFFFFFFFF) ? 1 : 0);
+	R[4] = l;
+};
+
+var tiger_init = function() {
+	R[0] = 0x89ABCDEF; R[1] = 0x01234567;
+	R[2] = 0x76543210; R[3] = 0xFEDCBA98;
+	R[4] = 0xC3B2E187; R[5] = 0xF096A5B4;
+};
+
+// The S-boxes are derived from this string as described by the Tiger
+//  authors, rather than shipping 8KiB of constants.
+(function() {
+	var str = Buffer.from(
+		'Tiger - A Fast New Hash Function, by Ross Anderson and Eli Biham', 'ascii'
+	);
+	var bytes = new Uint8Array(1024*8);
+	var sync = function(e) {
+		var o = e*8;
+		T[e*2] = (bytes[o] | (bytes[o+1] << 8) | (bytes[o+2] << 16) | (bytes[o+3] << 24)) >>> 0;
+		T[e*2+1] = (bytes[o+4] | (bytes[o+5] << 8) | (bytes[o+6] << 16) | (bytes[o+7] << 24)) >>> 0;
+	};
+
+	for (var e = 0; e < 1024; e++) {
+		for (var col = 0; col < 8; col++) {
+			bytes[e*8 + col] = e & 255;
+		}
+		sync(e);
+	}
+
+	tiger_init();
+	var abc = 2;
+	for (var pass = 0; pass < 5; pass++) {
+		for (var i = 0; i < 256; i++) {
+			for (var sb = 0; sb < 1024; sb += 256) {
+				abc++;
+				if (abc === 3) {
+					abc = 0;
+					tiger_compress(str, 0);
+				}
+				for (col = 0; col < 8; col++) {
+					var sbyte = (R[abc*2 + (col >> 2)] >>> ((col & 3) * 8)) & 255;
+					var p = (sb + i)*8 + col;
+					var q = (sb + sbyte)*8 + col;
+					var tmp = bytes[p];
+					bytes[p] = bytes[q];
+					bytes[q] = tmp;
+					sync(sb + i);
+					sync(sb + sbyte);
+				}
+			}
+		}
+	}
+})();
+
+/**
+ * Compute the Tiger hash of a buffer.
+ *
+ * @param {Buffer} buf Data to hash
+ * @return {Buffer} 24-byte digest
+ */
+var tiger = function(buf) {
+	var full = buf.length - (buf.length % 64);
+	tiger_init();
+	for (var i = 0; i < full; i += 64) {
+		tiger_compress(buf, i);
+	}
+
+	// Padding: 0x01, zeroes, then the message length in bits
+	var rest = buf.length - full;
+	var last = Buffer.alloc((rest < 56) ? 64 : 128);
+	buf.copy(last, 0, full);
+	last[rest] = 0x01;
+	var bits = buf.length * 8;
+	last.writeUInt32LE(bits >>> 0, last.length - 8);
+	last.writeUInt32LE(Math.floor(bits / 0x100000000), last.length - 4);
+	for (i = 0; i < last.length; i += 64) {
+		tiger_compress(last, i);
+	}
+
+	var ret = Buffer.alloc(24);
+	for (i = 0; i < 6; i++) {
+		ret.writeUInt32LE(R[i], i*4);
+	}
+	return ret;
+};
+
+// #################
+// Tiger Tree
+// #################
+
+var leafbuf = Buffer.alloc(1 + TTH_BASE_BLOCK);
+var nodebuf = Buffer.alloc(1 + 24 + 24);
+
+var tth_leaf = function(buf, start, end) {
+	leafbuf[0] = 0x00;
+	buf.copy(leafbuf, 1, start, end);
+	return tiger(leafbuf.slice(0, 1 + end - start));
+};
+
+// Combine the subtrees left on a TigerTree stack, rightmost first
+var tth_fold = function(nodes) {
+	var hashes = nodes.map(function(n) { return n.hash; });
+	while (hashes.length > 1) {
+		var right = hashes.pop();
+		hashes.push(tth_node(hashes.pop(), right));
+	}
+	return hashes[0];
+};
+
+var tth_node = function(left, right) {
+	nodebuf[0] = 0x01;
+	left.copy(nodebuf, 1);
+	right.copy(nodebuf, 25);
+	return tiger(nodebuf);
+};
+
+/**
+ * Constructor for incremental Tiger Tree hashing. Besides the root, the
+ *  nodes at the level whose blocks are blockSize bytes long are kept as the
+ *  leaf data served and checked through TTHL.
+ *
+ * @class TigerTree
+ * @constructor
+ * @param {Number} size Total size of the data, used to pick blockSize
+ */
+function TigerTree(size) {
+	this.blockSize = blockSizeFor(size);
+	this.leafHeight = Math.round(Math.log(this.blockSize / TTH_BASE_BLOCK) / Math.LN2);
+	this.leaves = [];
+	this.stack = [];
+	this.partial = Buffer.alloc(0);
+	this.length = 0;
+}
+
+/**
+ * Hash more data.
+ *
+ * @param {Buffer} buf Next chunk of data
+ * @return {TigerTree} Returns self for chained calls
+ */
+TigerTree.prototype.update = function(buf) {
+	if (this.partial.length) {
+		buf = Buffer.concat([this.partial, buf]);
+	}
+	var i = 0;
+	for (; i + TTH_BASE_BLOCK <= buf.length; i += TTH_BASE_BLOCK) {
+		this.push(tth_leaf(buf, i, i + TTH_BASE_BLOCK), 0);
+	}
+	this.partial = Buffer.from(buf.slice(i));
+	this.length += buf.length - i;
+	return this;
+};
+
+TigerTree.prototype.push = function(hash, height) {
+	if (height === this.leafHeight) {
+		this.leaves.push(hash);
+	}
+	this.stack.push({ hash: hash, height: height });
+	while (this.stack.length > 1) {
+		var right = this.stack[this.stack.length - 1];
+		var left = this.stack[this.stack.length - 2];
+		if (left.height !== right.height) {
+			break;
+		}
+		var node = { hash: tth_node(left.hash, right.hash), height: left.height + 1 };
+		if (node.height === this.leafHeight) {
+			this.leaves.push(node.hash);
+		}
+		this.stack.splice(-2, 2, node);
+	}
+};
+
+/**
+ * Finish hashing.
+ *
+ * @return {Object} root (Buffer), tth (base32 root), leaves (concatenated
+ *  leaf hashes) and blockSize
+ */
+TigerTree.prototype.digest = function() {
+	if (this.partial.length || !this.stack.length) {
+		this.push(tth_leaf(this.partial, 0, this.partial.length), 0);
+		this.partial = Buffer.alloc(0);
+	}
+
+	// Whatever is left below leaf height makes up the last, short block
+	var leafHeight = this.leafHeight;
+	var leaves = this.leaves.slice();
+	var low = this.stack.filter(function(n) { return n.height < leafHeight; });
+	if (low.length) {
+		leaves.push(tth_fold(low));
+	}
+	var root = tth_fold(this.stack);
+
+	return {
+		root: root,
+		tth: base32(root),
+		leaves: Buffer.concat(leaves),
+		blockSize: this.blockSize
+	};
+};
+
+/**
+ * Pick the leaf block size we keep for a file of the given size, or the
+ *  one a peer used when it sent leafCount leaves.
+ *
+ * @param {Number} size File size in bytes
+ * @param {Number} leafCount Number of leaves received (optional)
+ * @return {Number} Block size in bytes
+ */
+var blockSizeFor = function(size, leafCount) {
+	var bs = TTH_BASE_BLOCK;
+	if (typeof(leafCount) === 'number') {
+		while (Math.max(1, Math.ceil(size / bs)) > leafCount) {
+			bs *= 2;
+		}
+		return bs;
+	}
+	bs = NMDC_JS_TTHL_MIN_BLOCK;
+	while (Math.ceil(size / bs) > NMDC_JS_TTHL_MAX_LEAVES) {
+		bs *= 2;
+	}
+	return bs;
+};
+
+/**
+ * Compute the root hash from one level of leaf hashes.
+ *
+ * @param {Buffer} leaves Concatenated 24-byte hashes
+ * @return {Buffer} Root hash
+ */
+var rootFromLeaves = function(leaves) {
+	var level = [];
+	for (var i = 0; i + 24 <= leaves.length; i += 24) {
+		level.push(leaves.slice(i, i + 24));
+	}
+	if (! level.length) {
+		throw new Error('No leaf hashes');
+	}
+	while (level.length > 1) {
+		var next = [];
+		for (i = 0; i + 1 < level.length; i += 2) {
+			next.push(tth_node(level[i], level[i+1]));
+		}
+		if (level.length % 2) {
+			next.push(level[level.length - 1]);
+		}
+		level = next;
+	}
+	return level[0];
+};
+
+/**
+ * Compute the Tiger Tree of a buffer held in memory, e.g. one leaf block
+ *  of a download.
+ *
+ * @param {Buffer} buf Data to hash
+ * @return {Buffer} Root hash of buf
+ */
+var treeRoot = function(buf) {
+	var tree = new TigerTree(buf.length);
+	return tree.update(buf).digest().root;
+};
+
+/**
+ * Hash a file on disk.
+ *
+ * @param {String} path Local path of the file
+ * @param {Function} cb Callback(err, digest) with digest as returned by
+ *  TigerTree.digest() plus size
+ */
+var hashFile = function(path, cb) {
+	fs.stat(path, function(err, st) {
+		if (err) {
+			return cb(err);
+		}
+		var tree = new TigerTree(st.size);
+		var size = 0;
+		var rs = fs.createReadStream(path, { highWaterMark: 256*1024 });
+		rs.on('data', function(chunk) {
+			size += chunk.length;
+			tree.update(chunk);
+		});
+		rs.on('error', cb);
+		rs.on('end', function() {
+			var ret = tree.digest();
+			ret.size = size;
+			cb(null, ret);
+		});
+	});
+};
+
+/**
+ * Compute the Tiger Tree of part of a file on disk, e.g. one leaf block of
+ *  a download in progress.
+ *
+ * @param {String} path Local path of the file
+ * @param {Number} start Offset of the first byte
+ * @param {Number} length Number of bytes to hash
+ * @param {Function} cb Callback(err, root) with root as a Buffer
+ */
+var hashRange = function(path, start, length, cb) {
+	if (length <= 0) {
+		return setImmediate(cb, null, treeRoot(Buffer.alloc(0)));
+	}
+	var tree = new TigerTree(length);
+	var size = 0;
+	var rs = fs.createReadStream(path, {
+		start: start,
+		end: start + length - 1,
+		highWaterMark: 256*1024
+	});
+	rs.on('data', function(chunk) {
+		size += chunk.length;
+		tree.update(chunk);
+	});
+	rs.on('error', cb);
+	rs.on('end', function() {
+		if (size !== length) {
+			return cb(new Error("Short read from '" + path + "'"));
+		}
+		cb(null, tree.digest().root);
+	});
+};
+
+// #################
+// Base32
+// #################
+
+/**
+ * Encode a buffer as unpadded RFC 4648 base32, as used for TTH roots.
+ *
+ * @param {Buffer} buf Data to encode
+ * @return {String} Base32 string
+ */
+var base32 = function(buf) {
+	var ret = '';
+	var bits = 0, value = 0;
+	for (var i = 0; i < buf.length; i++) {
+		value = ((value << 8) | buf[i]) & 0xFFFF;
+		bits += 8;
+		while (bits >= 5) {
+			ret += BASE32_ALPHABET[(value >>> (bits - 5)) & 31];
+			bits -= 5;
+		}
+	}
+	if (bits > 0) {
+		ret += BASE32_ALPHABET[(value << (5 - bits)) & 31];
+	}
+	return ret;
+};
+
+/**
+ * Decode an unpadded base32 string.
+ *
+ * @param {String} str Base32 string
+ * @return {Buffer} Decoded data
+ */
+var base32decode = function(str) {
+	var ret = [];
+	var bits = 0, value = 0;
+	str = str.toUpperCase().replace(/=+$/, '');
+	for (var i = 0; i < str.length; i++) {
+		var idx = BASE32_ALPHABET.indexOf(str[i]);
+		if (idx === -1) {
+			throw new Error("Invalid base32 string '" + str + "'");
+		}
+		value = ((value << 5) | idx) & 0xFFFF;
+		bits += 5;
+		if (bits >= 8) {
+			ret.push((value >>> (bits - 8)) & 255);
+			bits -= 8;
+		}
+	}
+	return Buffer.from(ret);
+};
+
+// #################
+// Exports
+// #################
+
+exports.tiger = tiger;
+exports.TigerTree = TigerTree;
+exports.blockSizeFor = blockSizeFor;
+exports.rootFromLeaves = rootFromLeaves;
+exports.treeRoot = treeRoot;
+exports.hashFile = hashFile;
+exports.hashRange = hashRange;
+exports.base32 = base32;
+exports.base32decode = base32decode;
@@ -0,0 +1,309 @@
+/* _  ___  _| _    * _
+  | )[ | )(_](_ *  |_)       Copyright (c) 2012-2016 -- the nmdc.js authors
+                 ._|
+Permission to use, copy, modify, and/or distribute this software for any
+  purpose with or without fee is hereby granted, provided that the above
+  copyright notice and this permission notice appear in all copies.
+*/
+
+"use strict";
+var fs = require('fs');
+var stream = require('stream');
+var zlib = require('zlib');
+var nmdc_filelist = require('./nmdc_filelist.js');
+
+/**
+ * Constructor for the upload side of an Nmdc instance. Resolves what peers
+ *  ask for against the share and hands out upload slots.
+ *
+ *  A peer holds a normal slot for as long as its connection stays open, up
+ *  to opts.slots of them. File lists, partial lists and files of at most
+ *  opts.minislot_size bytes go through one of opts.minislots mini slots
+ *  while one is free, which are only held for the one transfer; small files
+ *  need the peer to support MiniSlots. Tree leaves never need a slot.
+ *
+ * @class UploadManager
+ * @constructor
+ * @param {Nmdc} nmdc Owning hub connection
+ */
+function UploadManager(nmdc) {
+
+	// Simulate calling constructor with 'new' if it was omitted
+	if (!(this instanceof UploadManager)) {
+		return new UploadManager(nmdc);
+	}
+
+	this.nmdc = nmdc;
+	this.transfers = [];
+	this.slotsUsed = 0;
+	this.miniUsed = 0;
+}
+
+/**
+ * Get the number of normal upload slots not taken by a peer.
+ *
+ * @return {Number} Free slots
+ */
+UploadManager.prototype.getFreeSlots = function() {
+	return Math.max(0, this.nmdc.opts.slots - this.slotsUsed);
+};
+
+/**
+ * Look up a request and reserve a slot for it.
+ *
+ * @param {PeerConnection} peer Requesting peer
+ * @param {Object} req type ('file', 'tthl' or 'list'), ident (ADC path,
+ *  'TTH/<root>', 'files.xml.bz2' or an NMDC path), start, bytes (-1 for
+ *  the rest of the file) and flags
+ * @return {Object} A transfer to pass to send(), or { error } with the
+ *  reason the request was refused; error is 'maxed' if no slot was free
+ */
+UploadManager.prototype.open = function(peer, req) {
+	var src = this.upload_resolve(req);
+	if (src === null || isNaN(req.start) || isNaN(req.bytes) || req.start < 0 ||
+		req.start > src.total) {
+		return { error: 'File Not Available' };
+	}
+
+	var bytes = req.bytes;
+	if (bytes < 0 || req.start + bytes > src.total) {
+		bytes = src.total - req.start;
+	}
+
+	var slot = this.upload_slot(peer, src);
+	if (slot === null) {
+		return { error: 'maxed' };
+	}
+
+	var transfer = {
+		peer: peer,
+		nick: peer.nick,
+		direction: 'upload',
+		type: req.type,
+		ident: req.ident,
+		start: req.start,
+		size: bytes,
+		total: src.total,
+		received: 0,
+		wire: 0,
+		compressed: false,
+		slot: slot,
+		data: src.data,
+		real: src.real,
+		stream: null
+	};
+	this.transfers.push(transfer);
+	return transfer;
+};
+
+/**
+ * Send the data for a transfer from open(), after its header went out.
+ *  Transfers with compressed set are deflated on the way (ZL1). A mini slot
+ *  is given back once done.
+ *
+ * @param {PeerConnection} peer Peer to send to
+ * @param {Object} transfer Transfer returned by open()
+ * @param {Function} cb Callback(err) once everything was written
+ * @return {UploadManager} Returns self for chained calls
+ */
+UploadManager.prototype.send = function(peer, transfer, cb) {
+	var self = this;
+	var nmdc = this.nmdc;
+
+	var done = function(err) {
+		if (self.transfers.indexOf(transfer) === -1) {
+			return;
+		}
+		self.transfers.splice(self.transfers.indexOf(transfer), 1);
+		if (transfer.slot === 'mini') {
+			self.miniUsed--;
+		}
+		if (! err) {
+			nmdc.onTransferComplete(peer, transfer);
+		}
+		cb(err || null);
+	};
+
+	var src;
+	if (transfer.data !== null || transfer.size === 0) {
+		src = new stream.PassThrough();
+		src.end((transfer.data || Buffer.alloc(0)).slice(
+			transfer.start, transfer.start + transfer.size
+		));
+	} else {
+		src = fs.createReadStream(transfer.real, {
+			start: transfer.start,
+			end: transfer.start + transfer.size - 1,
+			highWaterMark: 64*1024
+		});
+	}
+	transfer.stream = src;
+	src.on('data', function(chunk) {
+		transfer.received += chunk.length;
+		nmdc.stats.uploaded += chunk.length;
+		nmdc.onTransferProgress(peer, transfer);
+	});
+	src.on('error', done);
+
+	var out = src;
+	if (transfer.compressed) {
+		out = src.pipe(zlib.createDeflate());
+		out.on('error', done);
+	}
+
+	// Keep up with the socket
+	out.on('data', function(chunk) {
+		transfer.wire += chunk.length;
+		nmdc.stats.uploadedWire += chunk.length;
+		if (! peer.sock.write(chunk)) {
+			out.pause();
+			peer.sock.once('drain', function() {
+				out.resume();
+			});
+		}
+	});
+	out.on('end', function() {
+		transfer.stream = null;
+		if (transfer.received !== transfer.size) {
+			return done(new Error("File '"+transfer.real+"' changed while uploading"));
+		}
+		done(null);
+	});
+	return this;
+};
+
+/**
+ * Drop a transfer from open() that is not going to be sent, or stop one
+ *  being sent.
+ *
+ * @param {Object} transfer Transfer returned by open()
+ * @return {UploadManager} Returns self for chained calls
+ */
+UploadManager.prototype.cancel = function(transfer) {
+	var idx = this.transfers.indexOf(transfer);
+	if (idx === -1) {
+		return this;
+	}
+	if (transfer.stream !== null) {
+		transfer.stream.destroy();
+		transfer.stream = null;
+	}
+	this.transfers.splice(idx, 1);
+	if (transfer.slot === 'mini') {
+		this.miniUsed--;
+	}
+	return this;
+};
+
+/**
+ * Give back everything a peer held, when its connection closes.
+ *
+ * @param {PeerConnection} peer Peer that went away
+ * @return {UploadManager} Returns self for chained calls
+ */
+UploadManager.prototype.release = function(peer) {
+	var self = this;
+	if (peer.slot) {
+		peer.slot = false;
+		this.slotsUsed--;
+	}
+	this.transfers.filter(function(t) { return t.peer === peer; }).forEach(function(t) {
+		self.cancel(t);
+	});
+	return this;
+};
+
+// #################
+// Internal
+// #################
+
+UploadManager.prototype.upload_resolve = function(req) {
+	// Returns { data, real, total, small, list } or null
+	var nmdc = this.nmdc;
+	var ident = req.ident;
+	var entry;
+
+	if (req.type === 'list') {
+		var xml = nmdc_filelist.generate(nmdc.share, {
+			cid: nmdc.getCID(),
+			generator: nmdc.opts.tag,
+			base: ident,
+			recursive: (req.flags.indexOf('RE') !== -1)
+		});
+		return (xml === null) ? null : upload_buffer(Buffer.from(xml, 'utf8'), true);
+	}
+
+	if (ident === 'files.xml.bz2') {
+		return upload_buffer(nmdc.getOwnFileList().bz2, true);
+	}
+	if (ident === 'files.xml') {
+		return upload_buffer(Buffer.from(nmdc.getOwnFileList().xml, 'utf8'), true);
+	}
+
+	if (ident.substr(0, 4) === 'TTH/') {
+		entry = nmdc.share.findByTTH(ident.substr(4));
+	} else {
+		entry = nmdc.share.findByPath(ident);
+	}
+	if (entry === null || entry.isDir) {
+		return null;
+	}
+
+	if (req.type === 'tthl') {
+		return entry.leaves ? upload_buffer(entry.leaves, false) : null;
+	}
+	if (req.type !== 'file') {
+		return null;
+	}
+	return {
+		data: null,
+		real: entry.real,
+		total: entry.size,
+		small: (entry.size <= this.nmdc.opts.minislot_size),
+		list: false
+	};
+};
+
+UploadManager.prototype.upload_slot = function(peer, src) {
+	// Returns 'normal', 'mini', 'none' or null if no slot is free
+	var o = this.nmdc.opts;
+	if (src.data !== null && !src.list) {
+		return 'none'; // tree leaves
+	}
+	if (peer.slot) {
+		return 'normal';
+	}
+	// Mini slots first, so browsing a list doesn't tie up a normal slot for
+	//  as long as the connection stays open
+	if (this.miniUsed < o.minislots &&
+		(src.list || (src.small && peer.hasSupport('MiniSlots')))) {
+		this.miniUsed++;
+		return 'mini';
+	}
+	if (this.slotsUsed < o.slots) {
+		peer.slot = true;
+		this.slotsUsed++;
+		return 'normal';
+	}
+	return null;
+};
+
+// #################
+// Helpers
+// #################
+
+var upload_buffer = function(data, list) {
+	return {
+		data: data,
+		real: '',
+		total: data.length,
+		small: true,
+		list: list
+	};
+};
+
+// #################
+// Exports
+// #################
+
+exports.UploadManager = UploadManager;
@@ -0,0 +1,185 @@
+/* _  ___  _| _    * _
+  | )[ | )(_](_ *  |_)       Copyright (c) 2012-2016 -- the nmdc.js authors
+                 ._|
+Permission to use, copy, modify, and/or distribute this software for any
+  purpose with or without fee is hereby granted, provided that the above
+  copyright notice and this permission notice appear in all copies.
+*/
+
+"use strict";
+
+var USER_FLAG_AWAY     = 0x02;
+var USER_FLAG_SERVER   = 0x04;
+var USER_FLAG_FIREBALL = 0x08;
+var USER_FLAG_TLS      = 0x10;
+
+// Fields compared when a new $MyINFO arrives
+var USER_INFO_FIELDS = [
+	'desc', 'tag', 'client', 'version', 'mode', 'hubs', 'slots', 'limiter',
+	'connection', 'flag', 'away', 'server', 'fireball', 'tls', 'email', 'share'
+];
+
+/**
+ * Constructor for a user on the hub. Until the first $MyINFO arrives only
+ *  the nick is known.
+ *
+ * @class User
+ * @constructor
+ * @param {String} nick User nick
+ */
+function User(nick) {
+
+	// Simulate calling constructor with 'new' if it was omitted
+	if (!(this instanceof User)) {
+		return new User(nick);
+	}
+
+	this.nick = nick;
+	this.desc = '';
+	this.tag = '';        // raw tag, without the angle brackets
+	this.client = '';
+	this.version = '';
+	this.mode = '';       // 'A'ctive, 'P'assive, '5' (SOCKS5) or unknown
+	this.hubs = { normal: 0, registered: 0, op: 0 };
+	this.slots = 0;
+	this.limiter = 0;     // upload limit in KiB/s, 0 if none
+	this.connection = ''; // e.g. '100' or 'LAN(T3)'
+	this.flag = 0;
+	this.away = false;
+	this.server = false;
+	this.fireball = false;
+	this.tls = false;
+	this.email = '';
+	this.share = 0;
+	this.hasInfo = false;
+
+	// From $OpList, $BotList and $UserIP
+	this.isOp = false;
+	this.isBot = false;
+	this.ip = '';
+}
+
+/**
+ * Update the user from a $MyINFO message.
+ *
+ * @param {Object} info Parsed $MyINFO as returned by parse()
+ * @return {Array} Names of the fields that changed
+ */
+User.prototype.update = function(info) {
+	var changed = [];
+	for (var i = 0; i < USER_INFO_FIELDS.length; i++) {
+		var field = USER_INFO_FIELDS[i];
+		if (JSON.stringify(this[field]) !== JSON.stringify(info[field])) {
+			this[field] = info[field];
+			changed.push(field);
+		}
+	}
+	this.hasInfo = true;
+	return changed;
+};
+
+/**
+ * Check whether we can't connect to the user, so they have to connect to
+ *  us.
+ *
+ * @return {Boolean} True if the user is passive or behind a SOCKS5 proxy
+ */
+User.prototype.isPassive = function() {
+	return this.mode === 'P' || this.mode === '5';
+};
+
+/**
+ * Parse a $MyINFO message.
+ *
+ * @param {String} str Message content, starting with '$ALL '
+ * @return {Object} nick plus the fields of a User, or null if malformed
+ */
+var parse = function(str) {
+	// $ALL <nick> <description><tag>$ $<connection><flag>$<e-mail>$<sharesize>$,
+	//  where the space after the nick may be left out with no description
+	var m = str.match(/^\$ALL ([^ $]+) ?([^$]*)\$.\$([^$]*)\$([^$]*)\$([^$]*)\$?$/);
+	if (m === null) {
+		return null;
+	}
+
+	var ret = {
+		nick: m[1],
+		desc: m[2],
+		tag: '',
+		client: '',
+		version: '',
+		mode: '',
+		hubs: { normal: 0, registered: 0, op: 0 },
+		slots: 0,
+		limiter: 0,
+		connection: m[3],
+		flag: 0,
+		email: m[4],
+		share: +m[5] || 0
+	};
+
+	// The flag is the last character of the connection field
+	if (ret.connection.length) {
+		ret.flag = ret.connection.charCodeAt(ret.connection.length - 1);
+		ret.connection = ret.connection.slice(0, -1);
+	}
+	ret.away = !!(ret.flag & USER_FLAG_AWAY);
+	ret.server = !!(ret.flag & USER_FLAG_SERVER);
+	ret.fireball = !!(ret.flag & USER_FLAG_FIREBALL);
+	ret.tls = !!(ret.flag & USER_FLAG_TLS);
+
+	var tpos = ret.desc.lastIndexOf('<');
+	if (tpos !== -1 && ret.desc[ret.desc.length - 1] === '>') {
+		ret.tag = ret.desc.slice(tpos + 1, -1);
+		ret.desc = ret.desc.substr(0, tpos).replace(/ $/, ''); // as we send it
+		user_parsetag(ret);
+	}
+	return ret;
+};
+
+// #################
+// Helpers
+// #################
+
+var user_parsetag = function(ret) {
+	// <client V:version,M:mode,H:normal/registered/op,S:slots[,L:limit]>
+	//  Some clients leave out the 'V:' and put the version after a space.
+	var parts = ret.tag.split(',');
+	var name = parts.shift();
+	var vpos = name.indexOf(' V:');
+	if (vpos !== -1) {
+		ret.client = name.substr(0, vpos);
+		ret.version = name.substr(vpos + 3);
+	} else if (name.lastIndexOf(' ') !== -1) {
+		ret.client = name.substr(0, name.lastIndexOf(' '));
+		ret.version = name.substr(name.lastIndexOf(' ') + 1);
+	} else {
+		ret.client = name;
+	}
+
+	parts.forEach(function(p) {
+		var key = p.substr(0, 2), val = p.substr(2);
+		switch (key) {
+			case 'V:': ret.version = val; break;
+			case 'M:': ret.mode = val; break;
+			case 'S:': ret.slots = +val || 0; break;
+			case 'L:':
+			case 'B:': ret.limiter = +val || 0; break;
+			case 'H:': {
+				var h = val.split('/');
+				ret.hubs = {
+					normal: +h[0] || 0,
+					registered: +h[1] || 0,
+					op: +h[2] || 0
+				};
+			} break;
+		}
+	});
+};
+
+// #################
+// Exports
+// #################
+
+exports.User = User;
+exports.parse = parse;
@@ -1,37 +1,756 @@
-/*var myHeading = document.querySelector('h1');
-myHeading.textContent = 'first js';
-document.querySelector('img').onclick = function() {
-    alert('Ouch! Stop poking me!');
-}
+// Talks to nmdc_server.js: commands go to the JSON API, hub events come back
+//  over /api/events
+
+"use strict";
+
+var STATES = ['disconnected', 'connected', 'connecting', 'locked', 'validated',
+	'identified', 'logged in'];
+
+var $ = function(sel, root) {
+	return (root || document).querySelector(sel);
+};
+
+var api = function(method, url, body) {
+	return fetch(url, {
+		method: method,
+		headers: { 'Content-Type': 'application/json' },
+		body: body ? JSON.stringify(body) : undefined
+	}).then(function(res) {
+		return res.json().then(function(data) {
+			if (! res.ok) {
+				throw new Error(data.error);
+			}
+			return data;
+		});
+	});
+};
+
+var fail = function(e) {
+	alert(e.message);
+};
+
+var formatSize = function(bytes) {
+	if (bytes < 0) {
+		return '?';
+	}
+	var units = ['B', 'KiB', 'MiB', 'GiB', 'TiB'];
+	var i = 0;
+	while (bytes >= 1024 && i < units.length - 1) {
+		bytes /= 1024;
+		i++;
+	}
+	return (i ? bytes.toFixed(1) : bytes)+' '+units[i];
+};
+
+var button = function(text, onclick) {
+	var b = document.createElement('button');
+	b.type = 'button';
+	b.textContent = text;
+	b.onclick = onclick;
+	return b;
+};
+
+// #################
+// Sortable tables
+// #################
+
+/**
+ * A table with one row per key, sorted by clicking a column header.
+ *
+ * @param {Element} table Empty <table>
+ * @param {Array} columns title, value(data) to sort on and show, and
+ *  optionally cell(data, td) to fill the cell instead
+ * @param {Function} key Returns the key of a row's data
+ */
+function Grid(table, columns, key) {
+	var self = this;
+	this.columns = columns;
+	this.key = key;
+	this.rows = {};
+	this.sortColumn = 0;
+	this.sortOrder = 1;
+	this.onRowClick = function(data){};
+	this.onRowOpen = function(data){};
+	this._render = false;
 
-my=document.querySelector('img');
-my.onclick=function(){
-	src=my.getAttribute('src');
-	if(src==='images/img1.jpg')
-		my.setAttribute('src','images/img2.png');
-	else
-		my.setAttribute('src','images/img1.jpg');
-};
-but=document.querySelector('button');
-head=document.querySelector('h1');
-function setUsr(){
-	name=prompt('enter your name');
-	localStorage.setItem('name',name);
-	head.textContent='you are cool, '+name;
-};
-if(!localStorage.getItem('name'))
-	setUsr();
-	else
-	{
-stored=localStorage.getItem('name');
-head.textContent="you are cool, "+stored;
-	}
-but.onclick=function(){
-	setUsr();
-};*/
-var h=require(module_test_user);
-var t=document.querySelector('h1');
-t.onclick=function(){
-	console.log('given');
-	h.hub.pm('black_mamba','hello',function(){});
+	var head = table.createTHead().insertRow();
+	columns.forEach(function(col, i) {
+		var th = document.createElement('th');
+		th.textContent = col.title;
+		th.onclick = function() {
+			self.sortOrder = (self.sortColumn === i) ? -self.sortOrder : 1;
+			self.sortColumn = i;
+			self.render();
+		};
+		head.appendChild(th);
+	});
+	this.body = table.createTBody();
 }
+
+Grid.prototype.set = function(data) {
+	var self = this;
+	var k = this.key(data);
+	var row = this.rows[k];
+	if (! row) {
+		row = this.rows[k] = { data: data, tr: document.createElement('tr') };
+		this.columns.forEach(function() {
+			row.tr.insertCell();
+		});
+		row.tr.onclick = function() {
+			self.onRowClick(row.data);
+		};
+		row.tr.ondblclick = function() {
+			self.onRowOpen(row.data);
+		};
+	}
+	row.data = data;
+	this.columns.forEach(function(col, i) {
+		var td = row.tr.cells[i];
+		if (col.cell) {
+			col.cell(data, td);
+		} else {
+			var v = col.value(data);
+			td.textContent = (typeof(v) === 'number' && col.size) ? formatSize(v) : v;
+		}
+	});
+	this.schedule();
+	return row.tr;
+};
+
+Grid.prototype.get = function(k) {
+	return (k in this.rows) ? this.rows[k].data : null;
+};
+
+Grid.prototype.remove = function(k) {
+	if (k in this.rows) {
+		this.rows[k].tr.remove();
+		delete this.rows[k];
+	}
+};
+
+Grid.prototype.clear = function() {
+	this.rows = {};
+	this.body.textContent = '';
+};
+
+Grid.prototype.count = function() {
+	return Object.keys(this.rows).length;
+};
+
+Grid.prototype.schedule = function() {
+	// Sort once per frame, however many rows changed
+	var self = this;
+	if (this._render === false) {
+		this._render = requestAnimationFrame(function() {
+			self._render = false;
+			self.render();
+		});
+	}
+};
+
+Grid.prototype.render = function() {
+	var self = this;
+	var col = this.columns[this.sortColumn];
+	var rows = Object.keys(this.rows).map(function(k) { return self.rows[k]; });
+	rows.sort(function(a, b) {
+		var x = col.value(a.data), y = col.value(b.data);
+		var diff = (typeof(x) === 'number' && typeof(y) === 'number') ?
+			x - y : (''+x).localeCompare(''+y, undefined, { sensitivity: 'base' });
+		return diff * self.sortOrder;
+	});
+	rows.forEach(function(row) {
+		self.body.appendChild(row.tr);
+	});
+};
+
+// #################
+// Tabs
+// #################
+
+var showPane = function(name) {
+	Array.prototype.forEach.call(document.querySelectorAll('#tabs button'), function(b) {
+		b.classList.toggle('active', b.getAttribute('data-pane') === name);
+		if (b.getAttribute('data-pane') === name) {
+			b.classList.remove('unread');
+		}
+	});
+	Array.prototype.forEach.call(document.querySelectorAll('.pane'), function(p) {
+		p.classList.toggle('active', p.id === 'pane-'+name);
+	});
+};
+
+var tabFor = function(name) {
+	return $('#tabs button[data-pane="'+CSS.escape(name)+'"]');
+};
+
+var addTab = function(name, title, template, onclose) {
+	// A closable tab with a pane made from a <template>
+	var pane = document.importNode($(template).content, true).firstElementChild;
+	pane.id = 'pane-'+name;
+	$('#panes').appendChild(pane);
+
+	var tab = button(title, null);
+	tab.setAttribute('data-pane', name);
+	tab.appendChild(button('×', function(e) {
+		e.stopPropagation();
+		if (tab.classList.contains('active')) {
+			showPane('chat');
+		}
+		tab.remove();
+		pane.remove();
+		if (onclose) {
+			onclose();
+		}
+	})).className = 'close';
+	$('#tabs').appendChild(tab);
+	return pane;
+};
+
+var openPm = function(nick, show) {
+	var name = 'pm-'+nick;
+	if (tabFor(name) === null) {
+		var pane = addTab(name, nick, '#pm-template');
+		$('.say', pane).addEventListener('submit', function(e) {
+			e.preventDefault();
+			var input = e.target.message;
+			api('POST', 'api/pm', { nick: nick, message: input.value }).then(function() {
+				input.value = '';
+			}).catch(fail);
+		});
+	}
+	if (show) {
+		showPane(name);
+	}
+	return $('#pane-'+CSS.escape(name)+' .log');
+};
+
+$('#tabs').addEventListener('click', function(e) {
+	if (e.target.parentNode === this && e.target.hasAttribute('data-pane')) {
+		showPane(e.target.getAttribute('data-pane'));
+	}
+});
+
+// #################
+// Hubs and chat
+// #################
+
+var hubs = {};
+
+var addLine = function(log, entry, hub) {
+	var line = document.createElement('p');
+	line.className = entry.type;
+	var time = document.createElement('time');
+	time.textContent = new Date(entry.time).toLocaleTimeString();
+	line.appendChild(time);
+	if (hub) {
+		line.appendChild(document.createTextNode(' ['+hub+']'));
+	}
+	line.appendChild(document.createTextNode(
+		(entry.type === 'system') ? ' *** ' : (' <'+entry.nick+'> ')
+	));
+	line.appendChild(document.createTextNode(entry.message));
+
+	var atBottom = log.scrollTop + log.clientHeight >= log.scrollHeight - 5;
+	log.appendChild(line);
+	if (atBottom) {
+		log.scrollTop = log.scrollHeight;
+	}
+};
+
+var updateHub = function(hub) {
+	var li = $('#hubs li[data-id="'+CSS.escape(hub.id)+'"]');
+	if (li === null) {
+		li = document.createElement('li');
+		li.setAttribute('data-id', hub.id);
+		li.appendChild(document.createElement('span'));
+		li.appendChild(button('Disconnect', function() {
+			api('POST', 'api/disconnect', { id: hub.id }).catch(fail);
+		}));
+		$('#hubs').appendChild(li);
+
+		var option = document.createElement('option');
+		option.value = hub.id;
+		$('#pane-chat select[name=hub]').appendChild(option);
+	}
+	var text = (hub.name || hub.id)+' ('+STATES[hub.state]+')';
+	if (hub.reconnect.fatalError) {
+		text += ' - '+hub.reconnect.fatalError;
+	}
+	$('span', li).textContent = text;
+	$('#pane-chat select[name=hub] option[value="'+CSS.escape(hub.id)+'"]').textContent =
+		hub.name || hub.id;
+	hubs[hub.id] = hub;
+};
+
+var removeHub = function(id) {
+	var li = $('#hubs li[data-id="'+CSS.escape(id)+'"]');
+	if (li !== null) {
+		li.remove();
+	}
+	var option = $('#pane-chat select[name=hub] option[value="'+CSS.escape(id)+'"]');
+	if (option !== null) {
+		option.remove();
+	}
+	delete hubs[id];
+};
+
+var chatEntry = function(entry) {
+	var hub = (Object.keys(hubs).length > 1) ? ((hubs[entry.hub] || {}).name || entry.hub) : '';
+	var name = 'chat';
+	var log;
+	if (entry.type === 'private') {
+		log = openPm(entry.peer, false);
+		name = 'pm-'+entry.peer;
+	} else {
+		log = $('#pane-chat .log');
+	}
+	addLine(log, entry, hub);
+	var tab = tabFor(name);
+	if (! tab.classList.contains('active')) {
+		tab.classList.add('unread');
+	}
+};
+
+// #################
+// Users
+// #################
+
+var users = new Grid($('#users'), [
+	{ title: 'Nick', value: function(u) { return u.nick; } },
+	{ title: 'Share', size: true, value: function(u) { return u.share; } },
+	{ title: 'Client', value: function(u) { return u.client; } },
+	{ title: 'Op', value: function(u) { return u.isOp ? 'op' : (u.isBot ? 'bot' : ''); } },
+	{ title: '', value: function(u) { return ''; }, cell: function(u, td) {
+		if (! td.firstChild) {
+			td.appendChild(button('PM', function() {
+				openPm(u.nick, true);
+			}));
+			td.appendChild(button('Files', function() {
+				openFiles(u.hubs[0], u.nick);
+			}));
+		}
+	} }
+], function(u) {
+	return u.id;
+});
+users.onRowOpen = function(u) {
+	openPm(u.nick, true);
+};
+
+var updateUser = function(u) {
+	users.set(u).title = u.desc+(u.hubs.length > 1 ? ' (on '+u.hubs.join(', ')+')' : '');
+	$('#users th').textContent = 'Nick ('+users.count()+')';
+};
+
+var removeUser = function(u) {
+	users.remove(users.key(u));
+	$('#users th').textContent = 'Nick ('+users.count()+')';
+};
+
+// #################
+// Search
+// #################
+
+var currentSearch = null;
+var early = []; // results that came in before the search id
+
+var download = function(hub, r) {
+	api('POST', 'api/download', {
+		hub: hub, nick: r.nick, path: r.path, tth: r.tth, size: r.size
+	}).then(function() {
+		showPane('transfers');
+	}).catch(fail);
+};
+
+var results = new Grid($('#results'), [
+	{ title: 'Name', value: function(d) { return d.result.path.split('\\').pop(); } },
+	{ title: 'Size', size: true, value: function(d) { return d.result.size; } },
+	{ title: 'Slots', value: function(d) { return d.result.freeSlots; }, cell: function(d, td) {
+		td.textContent = d.result.freeSlots+'/'+d.result.totalSlots;
+	} },
+	{ title: 'User', value: function(d) { return d.result.nick; } },
+	{ title: 'Hub', value: function(d) { return (hubs[d.hub] || {}).name || d.hub; } },
+	{ title: 'Path', value: function(d) { return d.result.path; } },
+	{ title: '', value: function(d) { return ''; }, cell: function(d, td) {
+		if (! td.firstChild && d.result.type === 'file') {
+			td.appendChild(button('Download', function() {
+				download(d.hub, d.result);
+			}));
+		}
+	} }
+], function(d) {
+	return d.result.nick+'\x00'+d.result.path;
+});
+results.sortColumn = 2;
+results.sortOrder = -1;
+results.onRowOpen = function(d) {
+	if (d.result.type === 'file') {
+		download(d.hub, d.result);
+	}
+};
+
+var searchResult = function(data) {
+	if (currentSearch === null) {
+		early.push(data);
+	} else if (data.search === currentSearch) {
+		results.set(data).title = data.result.tth ? 'TTH: '+data.result.tth : '';
+	}
+};
+
+$('#search').addEventListener('submit', function(e) {
+	e.preventDefault();
+	var f = e.target;
+	var params = { query: f.query.value, type: f.type.value };
+	if (f.type.value === 'tth') {
+		params = { tth: f.query.value.trim() };
+	}
+	['minSize', 'maxSize'].forEach(function(key) {
+		if (f[key].value.length) {
+			params[key] = Math.round(parseFloat(f[key].value) * +f.unit.value);
+		}
+	});
+	results.clear();
+	currentSearch = null;
+	early = [];
+	api('POST', 'api/search', params).then(function(data) {
+		currentSearch = data.search;
+		early.forEach(searchResult);
+		early = [];
+	}).catch(fail);
+});
+
+// #################
+// File lists
+// #################
+
+var MAX_MATCHES = 500;
+
+var downloadFolder = function(hub, nick, path) {
+	api('POST', 'api/download', { hub: hub, nick: nick, path: path, folder: true }).then(function() {
+		showPane('transfers');
+	}).catch(fail);
+};
+
+var fileRow = function(hub, nick, file, path, label) {
+	var row = document.createElement('div');
+	row.className = 'file';
+	var name = document.createElement('span');
+	name.className = 'name';
+	name.textContent = label;
+	row.appendChild(name);
+	var size = document.createElement('span');
+	size.className = 'size';
+	size.textContent = formatSize(file.size);
+	row.appendChild(size);
+	var tth = document.createElement('span');
+	tth.className = 'tth';
+	tth.textContent = file.tth;
+	row.appendChild(tth);
+	row.appendChild(button('Download', function() {
+		download(hub, { nick: nick, path: path, tth: file.tth, size: file.size });
+	}));
+	return row;
+};
+
+var dirNode = function(hub, nick, dir, path) {
+	// Contents are only added to the page once the directory is opened, as
+	//  lists can have hundreds of thousands of files
+	var node = document.createElement('details');
+	var summary = document.createElement('summary');
+	var name = document.createElement('span');
+	name.className = 'name';
+	name.textContent = dir.name;
+	summary.appendChild(name);
+	var size = document.createElement('span');
+	size.className = 'size';
+	size.textContent = formatSize(dir.size);
+	summary.appendChild(size);
+	summary.appendChild(button('Download folder', function(e) {
+		e.preventDefault();
+		downloadFolder(hub, nick, path);
+	}));
+	node.appendChild(summary);
+	node.addEventListener('toggle', function() {
+		if (node.open && node.childNodes.length === 1) {
+			dirContents(node, hub, nick, dir, path);
+		}
+	});
+	return node;
+};
+
+var dirContents = function(parent, hub, nick, dir, path) {
+	var prefix = path.length ? path+'\\' : '';
+	var dirs = dir.children.filter(function(c) { return c.children; });
+	var files = dir.children.filter(function(c) { return ! c.children; });
+	dirs.forEach(function(d) {
+		parent.appendChild(dirNode(hub, nick, d, prefix+d.name));
+	});
+	files.forEach(function(f) {
+		parent.appendChild(fileRow(hub, nick, f, prefix+f.name, f.name));
+	});
+};
+
+var countFiles = function(dir) {
+	return dir.children.reduce(function(n, c) {
+		return n + (c.children ? countFiles(c) : 1);
+	}, 0);
+};
+
+var filterFiles = function(pane, hub, nick, root, text) {
+	var matches = $('.matches', pane);
+	matches.textContent = '';
+	$('.tree', pane).hidden = !! text.length;
+	if (! text.length) {
+		return;
+	}
+	text = text.toLowerCase();
+	var found = 0;
+	var walk = function(dir, path) {
+		dir.children.forEach(function(c) {
+			var p = path.length ? path+'\\'+c.name : c.name;
+			if (found >= MAX_MATCHES) {
+				return;
+			}
+			if (c.name.toLowerCase().indexOf(text) !== -1) {
+				found++;
+				if (c.children) {
+					var node = matches.appendChild(dirNode(hub, nick, c, p));
+					$('summary .name', node).textContent = p;
+				} else {
+					matches.appendChild(fileRow(hub, nick, c, p, p));
+				}
+			}
+			if (c.children) {
+				walk(c, p);
+			}
+		});
+	};
+	walk(root, '');
+	if (found >= MAX_MATCHES) {
+		var more = document.createElement('p');
+		more.textContent = 'Only the first '+MAX_MATCHES+' matches are shown.';
+		matches.appendChild(more);
+	}
+};
+
+var openFiles = function(hub, nick) {
+	var name = 'files-'+hub+'-'+nick;
+	if (tabFor(name) !== null) {
+		return showPane(name);
+	}
+	var pane = addTab(name, nick+' (files)', '#files-template');
+	showPane(name);
+
+	api('GET', 'api/filelist?hub='+encodeURIComponent(hub)+'&nick='+encodeURIComponent(nick)).then(function(list) {
+		$('.status', pane).textContent = countFiles(list.root)+' files, '+
+			formatSize(list.size)+(list.generator ? ', '+list.generator : '');
+		dirContents($('.tree', pane), hub, nick, list.root, '');
+
+		var timer = null;
+		var input = $('.filter', pane).filter;
+		input.addEventListener('input', function() {
+			clearTimeout(timer);
+			timer = setTimeout(function() {
+				filterFiles(pane, hub, nick, list.root, input.value.trim());
+			}, 200);
+		});
+	}).catch(function(e) {
+		$('.status', pane).textContent = 'Failed to get the file list ('+e.message+')';
+	});
+	$('.filter', pane).addEventListener('submit', function(e) {
+		e.preventDefault();
+	});
+};
+
+// #################
+// Transfers
+// #################
+
+var transfers = new Grid($('#transfers'), [
+	{ title: 'Name', value: function(t) { return t.name; } },
+	{ title: 'Direction', value: function(t) { return t.direction; } },
+	{ title: 'User', value: function(t) { return t.nick || t.sources.join(', '); } },
+	{ title: 'Size', size: true, value: function(t) { return t.size; } },
+	{ title: 'Progress', value: function(t) { return (t.size > 0) ? t.done / t.size : 0; },
+		cell: function(t, td) {
+			if (! td.firstChild) {
+				td.appendChild(document.createElement('progress'));
+				td.appendChild(document.createElement('span'));
+			}
+			var bar = td.firstChild;
+			if (t.size > 0) {
+				bar.max = t.size;
+				bar.value = t.done;
+				td.lastChild.textContent = ' '+(100 * t.done / t.size).toFixed(1)+'%';
+			} else {
+				bar.removeAttribute('value'); // indeterminate
+				td.lastChild.textContent = '';
+			}
+		} },
+	{ title: 'State', value: function(t) { return t.state; }, cell: function(t, td) {
+		td.textContent = t.state+(t.error ? ' ('+t.error+')' : '');
+		if (t.url) {
+			var a = document.createElement('a');
+			a.href = t.url;
+			a.target = '_blank';
+			a.textContent = 'Open';
+			td.appendChild(document.createTextNode(' '));
+			td.appendChild(a);
+		}
+	} },
+	{ title: '', value: function(t) { return ''; }, cell: function(t, td) {
+		if (! td.firstChild && t.direction === 'download') {
+			if (mediaType(t.name) !== null) {
+				td.appendChild(button('Preview', function() {
+					openPreview(transfers.get(t.id));
+				}));
+			}
+			td.appendChild(button('Remove', function() {
+				api('POST', 'api/transfers/remove', { id: t.id }).catch(fail);
+			}));
+		}
+	} }
+], function(t) {
+	return t.id;
+});
+
+// #################
+// Preview
+// #################
+
+var MEDIA_TYPES = {
+	audio: ['mp3', 'ogg', 'oga', 'opus', 'flac', 'wav', 'm4a', 'aac'],
+	video: ['mp4', 'm4v', 'webm', 'ogv', 'mkv', 'mov']
+};
+
+var mediaType = function(name) {
+	var ext = name.split('.').pop().toLowerCase();
+	for (var type in MEDIA_TYPES) {
+		if (MEDIA_TYPES[type].indexOf(ext) !== -1) {
+			return type;
+		}
+	}
+	return null;
+};
+
+var previewStatus = function(t) {
+	var pane = document.getElementById('pane-preview-'+t.id);
+	if (pane === null) {
+		return;
+	}
+	$('.status', pane).textContent = (t.state === 'done') ? 'Downloaded' :
+		formatSize(t.available)+' of '+formatSize(t.size)+' ready to play ('+t.state+
+		(t.error ? ', '+t.error : '')+')';
+};
+
+var openPreview = function(t) {
+	// Plays the file while the server keeps fetching it from the start
+	var name = 'preview-'+t.id;
+	if (tabFor(name) === null) {
+		var media = document.createElement(mediaType(t.name));
+		var pane = addTab(name, t.name, '#preview-template', function() {
+			// A detached element would go on playing and downloading
+			media.pause();
+			media.removeAttribute('src');
+			media.load();
+		});
+		media.controls = true;
+		media.autoplay = true;
+		media.preload = 'auto';
+		media.src = 'api/transfers/'+encodeURIComponent(t.id)+'/stream';
+		media.addEventListener('error', function() {
+			$('.status', pane).textContent = 'This file can\'t be played here';
+		});
+		$('.player', pane).appendChild(media);
+		previewStatus(t);
+	}
+	showPane(name);
+};
+
+document.addEventListener('keydown', function(e) {
+	// Space or Enter plays and pauses the preview being looked at
+	var media = $('.pane.active .player > *');
+	if (media === null || (e.key !== ' ' && e.key !== 'Enter') ||
+		/^(INPUT|SELECT|TEXTAREA|BUTTON|AUDIO|VIDEO)$/.test(e.target.tagName)) {
+		return;
+	}
+	e.preventDefault();
+	if (media.paused) {
+		media.play();
+	} else {
+		media.pause();
+	}
+});
+
+// #################
+// Commands
+// #################
+
+$('#connect').addEventListener('submit', function(e) {
+	e.preventDefault();
+	var f = e.target;
+	api('POST', 'api/connect', {
+		id: f.hub.value,
+		hub: f.hub.value,
+		nick: f.nick.value,
+		password: f.password.value,
+		auto_reconnect: true
+	}).then(function() {
+		localStorage.setItem('nick', f.nick.value);
+		localStorage.setItem('hub', f.hub.value);
+	}).catch(fail);
+});
+$('#connect').nick.value = localStorage.getItem('nick') || '';
+$('#connect').hub.value = localStorage.getItem('hub') || '';
+
+$('#pane-chat .say').addEventListener('submit', function(e) {
+	e.preventDefault();
+	var f = e.target;
+	var body = { message: f.message.value };
+	if (f.hub.value.length) {
+		body.hub = f.hub.value;
+	}
+	api('POST', 'api/say', body).then(function() {
+		f.message.value = '';
+	}).catch(fail);
+});
+
+// #################
+// Events
+// #################
+
+var events = new EventSource('api/events');
+
+events.addEventListener('open', function() {
+	// Everything is sent again after a reconnect
+	$('#hubs').textContent = '';
+	Array.prototype.forEach.call(document.querySelectorAll('.pane .log'), function(log) {
+		log.textContent = '';
+	});
+	Object.keys(hubs).forEach(removeHub);
+	users.clear();
+	transfers.clear();
+});
+
+var on = function(type, cb) {
+	events.addEventListener(type, function(e) {
+		cb(JSON.parse(e.data));
+	});
+};
+
+on('hub', updateHub);
+on('hubRemoved', function(data) {
+	removeHub(data.id);
+});
+on('chat', chatEntry);
+on('userJoin', updateUser);
+on('userUpdate', updateUser);
+on('userPart', removeUser);
+on('searchResult', searchResult);
+on('transfer', function(t) {
+	transfers.set(t);
+	previewStatus(t);
+});
+on('transferRemoved', function(data) {
+	transfers.remove(data.id);
+});